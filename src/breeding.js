@@ -0,0 +1,668 @@
+/**
+ * Functions for predicting the outcomes of nesting two dragons together. Builds on the breeding primitives in module:FRjs/data, and accepts parents either as `DragonTraits` objects or as plain objects of indices.
+ *
+ * @module FRjs/breeding
+ * @requires module:FRjs/data
+ * @requires module:FRjs/convert
+ */
+
+import * as FR from "./data.js";
+import {DragonTraits} from "./convert.js";
+
+///////////////////////////////////////////////////////////////////////////////
+// TYPE DEFINITIONS
+///////////////////////////////////////////////////////////////////////////////
+
+/** @typedef {Object} Outcome
+ * @property {number} index Index of the trait in the applicable array from {@link module:FRjs/data FRjs/data}.
+ * @property {number} probability The probability of a single hatchling having this trait. */
+function outcome(index, probability) {
+	return { index, probability };
+}
+
+/** @typedef {Object} OffspringOutcomes
+ * @property {Outcome[]} breed
+ * @property {Outcome[]} eye
+ * @property {Outcome[]} gender
+ * @property {{primary: Outcome[], secondary: Outcome[], tertiary: Outcome[]}} colour
+ * @property {{primary: Outcome[], secondary: Outcome[], tertiary: Outcome[]}} gene
+ * @property {FR.Nest[]} nest Possible nest sizes and their probabilities.
+ * @see {@link module:FRjs/breeding~Outcome Outcome}
+ * @see {@link module:FRjs/data~Nest Nest} */
+
+/** @typedef {Object} TargetProbability
+ * @property {number} hatchling The probability that a single hatchling matches the target.
+ * @property {number} nest The probability that at least one hatchling in a nest matches the target. */
+
+/** @typedef {Object} NestEstimate
+ * @property {number} perNest The probability that at least one hatchling in a single nest matches the target.
+ * @property {number} mean The expected number of nests needed to hatch a match.
+ * @property {number} median The number of nests after which it's more likely than not that a match has hatched.
+ * @property {{50: number, 90: number, 99: number}} confidence The number of nests needed to be 50%, 90%, and 99% sure of having hatched a match. */
+
+/** @typedef {Object} SimulationOptions
+ * @property {function(): number} [rng] A function returning random numbers in the range [0, 1), used for all rolls. Takes precedence over `seed`. Defaults to `Math.random`.
+ * @property {number} [seed] If given, rolls use a {@link module:FRjs/breeding.seededRandom seededRandom} generator with this seed, so results are reproducible. */
+
+/** @typedef {Object} SimulationHistograms
+ * @property {number} nests The number of nests simulated.
+ * @property {number} hatchlings The total number of hatchlings across all nests.
+ * @property {Object.<number, number>} nestSize Map of nest sizes to the number of nests which were that size.
+ * @property {Object.<number, number>} breed Map of indices in `BREEDS` to the number of hatchlings of that breed.
+ * @property {Object.<number, number>} eye Map of indices in `EYES` to the number of hatchlings with that eye type.
+ * @property {Object.<number, number>} gender Map of indices in `GENDERS` to the number of hatchlings of that gender.
+ * @property {{primary: Object.<number, number>, secondary: Object.<number, number>, tertiary: Object.<number, number>}} colour Maps of indices in `COLOURS` to the number of hatchlings with that colour in each slot.
+ * @property {{primary: Object.<number, number>, secondary: Object.<number, number>, tertiary: Object.<number, number>}} gene Maps of indices in `GENES[slot]` to the number of hatchlings with that gene in each slot. */
+
+/** @typedef {Object} PairResult
+ * @property {number} one Index of the first dragon of the pair in the searched array.
+ * @property {number} two Index of the second dragon of the pair in the searched array.
+ * @property {number} hatchling The probability that a single hatchling from this pair matches the target.
+ * @property {number} nest The probability that at least one hatchling in a nest from this pair matches the target. */
+
+/** @typedef {Object} PlanStep
+ * @property {number} generation The generation this step belongs to, starting from 1.
+ * @property {number} one Index of the first parent. Indices below the length of the given dragon array refer to those dragons; indices at or above it refer to the offspring of earlier steps, in order.
+ * @property {number} two Index of the second parent, with the same meaning as `one`.
+ * @property {Object} offspring The traits a hatchling needs to have for this step to succeed, as a partial set of indices in the same format as a target for {@link module:FRjs/breeding.probabilityOfTarget probabilityOfTarget}; colours may be `[first, last]` ranges. Traits that aren't defined don't matter. If the hatchling is paired with another dragon in a later step, `gender` is set so that the pair is one male and one female.
+ * @property {number} probability The probability that a single hatchling has the traits in `offspring`.
+ * @property {NestEstimate} nests An estimate of how many nests this step will take.
+ * @see {@link module:FRjs/breeding~NestEstimate NestEstimate} */
+
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE FUNCTIONS
+///////////////////////////////////////////////////////////////////////////////
+
+/** Returns the trait indices of a parent given as either a `DragonTraits` object or a plain object of indices. Indices given as strings (such as the values of FRjs/forms dropdowns) are converted to numbers. If the parent has no breed, or has any invalid traits (as per {@link module:FRjs/convert.DragonTraits.validate DragonTraits.validate}), returns `undefined`.
+ * @private
+ * @param {DragonTraits|Object} parent
+ * @returns {Object|undefined} */
+function parentIndices(parent) {
+	if (parent instanceof DragonTraits) {
+		return parent.indices;
+	}
+	const num = x => (x === undefined || x === null || x === "") ? undefined : +x;
+	const indices = {
+		breed: num(parent?.breed),
+		eye: num(parent?.eye),
+		element: num(parent?.element),
+		gender: num(parent?.gender),
+		age: num(parent?.age),
+		colour: {},
+		gene: {}
+	};
+	for (const slot in FR.GENES) {
+		indices.colour[slot] = num(parent?.colour?.[slot]);
+		indices.gene[slot] = num(parent?.gene?.[slot]);
+	}
+	if (indices.breed === undefined || DragonTraits.validate(indices).length > 0) {
+		return;
+	}
+	return new DragonTraits(indices).indices;
+}
+
+/** Returns the indices of a dragon that may be paired with others, as per `parentIndices`, except that a dragon given as a plain object of indices without a `gender` has an `undefined` gender, meaning it may be paired with either gender.
+ * @private
+ * @param {DragonTraits|Object} dragon
+ * @returns {Object|undefined} */
+function candidateIndices(dragon) {
+	const idxs = parentIndices(dragon);
+	if (idxs && !(dragon instanceof DragonTraits) && (dragon.gender === undefined || dragon.gender === "")) {
+		idxs.gender = undefined;
+	}
+	return idxs;
+}
+
+/** Returns whether two dragons from `candidateIndices` are one male and one female, counting an `undefined` gender as either.
+ * @private
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean} */
+function oppositeGenders(a, b) {
+	return a.gender === undefined || b.gender === undefined || a.gender !== b.gender;
+}
+
+/** Returns the outcomes of nesting two parents whose indices have already been checked by `parentIndices`, as per {@link module:FRjs/breeding.offspringOutcomes offspringOutcomes}. If the parents' breeds are incompatible, returns `undefined`.
+ * @private
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {OffspringOutcomes|undefined} */
+function outcomesFromIndices(a, b) {
+	if (!FR.areBreedsCompatible(a.breed, b.breed)) {
+		return;
+	}
+
+	const result = {
+		breed: rarityOutcomes(FR.BREEDS, a.breed, b.breed),
+		eye: [],
+		gender: FR.GENDERS.map((x, i) => outcome(i, 1 / FR.GENDERS.length)),
+		colour: {},
+		gene: {},
+		nest: FR.nestSizesForBreeds(a.breed, b.breed)
+	};
+	for (const [i, eye] of FR.EYES.entries()) {
+		if (eye.probability > 0) {
+			result.eye.push(outcome(i, eye.probability));
+		}
+	}
+	for (const slot in FR.GENES) {
+		result.colour[slot] = FR.colourProbabilities(a.colour[slot], b.colour[slot]);
+		result.gene[slot] = rarityOutcomes(FR.GENES[slot], a.gene[slot], b.gene[slot]);
+	}
+	return result;
+}
+
+/** Returns the possible outcomes of a rarity comparison between two members of an array.
+ * @private
+ * @param {Array.<{rarity: FR.Rarity}>} arr
+ * @param {number} one
+ * @param {number} two
+ * @returns {Outcome[]} */
+function rarityOutcomes(arr, one, two) {
+	if (one === two) {
+		return [outcome(one, 1)];
+	}
+	return [
+		outcome(one, FR.calcRarityProb(arr, one, two, one)),
+		outcome(two, FR.calcRarityProb(arr, one, two, two))
+	];
+}
+
+/** Returns the total probability of the outcomes with the given index, or `1` if the target is undefined (ie. a wildcard). For colours, the target may also be a `[first, last]` range, in which case the probabilities of all outcomes in that range are added up.
+ * @private
+ * @param {Outcome[]} outcomes
+ * @param {number|number[]} [target]
+ * @returns {number} */
+function matchProb(outcomes, target) {
+	if (target === undefined) {
+		return 1;
+	} else if (target instanceof Array) {
+		return outcomes
+			.filter(x => FR.isColourInRange(+target[0], +target[1], x.index))
+			.reduce((sum, x) => sum + x.probability, 0);
+	}
+	return outcomes.find(x => x.index === +target)?.probability ?? 0;
+}
+
+/** Given the probability of a single hatchling matching some target, returns the probability that at least one egg in a nest matches it.
+ * @private
+ * @param {FR.Nest[]} nest Possible nest sizes and their probabilities.
+ * @param {number} prob Probability of a single hatchling matching.
+ * @returns {number} */
+function nestMatchProb(nest, prob) {
+	return nest.reduce((sum, x) => sum + x.probability * (1 - (1 - prob) ** x.size), 0);
+}
+
+/** Returns the probability that a hatchling with the given outcomes matches a target given as indices, and that at least one egg in a nest does, as per {@link module:FRjs/breeding.probabilityOfTarget probabilityOfTarget}.
+ * @private
+ * @param {OffspringOutcomes} outcomes
+ * @param {Object} target
+ * @returns {TargetProbability} */
+function targetProbability(outcomes, target) {
+	let hatchling = matchProb(outcomes.breed, target.breed)
+		* matchProb(outcomes.eye, target.eye)
+		* matchProb(outcomes.gender, target.gender);
+	for (const slot in FR.GENES) {
+		hatchling *= matchProb(outcomes.colour[slot], target.colour?.[slot])
+			* matchProb(outcomes.gene[slot], target.gene?.[slot]);
+	}
+	return {
+		hatchling,
+		nest: nestMatchProb(outcomes.nest, hatchling)
+	};
+}
+
+/** Returns the number of nests needed to be at least `confidence` sure of having hatched a match, given the probability of a match per nest.
+ * @private
+ * @param {number} perNest
+ * @param {number} confidence
+ * @returns {number} */
+function nestsForConfidence(perNest, confidence) {
+	if (perNest >= 1) {
+		return 1;
+	} else if (perNest <= 0) {
+		return Infinity;
+	}
+	// small tolerance so floating point error doesn't round exact answers up
+	return Math.max(1, Math.ceil(Math.log(1 - confidence) / Math.log(1 - perNest) - 1e-9));
+}
+
+/** Picks one of the given outcomes at random, weighted by probability.
+ * @private
+ * @param {Array.<{probability: number}>} outcomes
+ * @param {function(): number} rng
+ * @returns {Object} The chosen outcome. */
+function roll(outcomes, rng) {
+	const total = outcomes.reduce((sum, x) => sum + x.probability, 0);
+	let r = rng() * total;
+	for (const x of outcomes) {
+		r -= x.probability;
+		if (r < 0) {
+			return x;
+		}
+	}
+	return outcomes[outcomes.length - 1];
+}
+
+/** Returns the random number generator described by the given simulation options.
+ * @private
+ * @param {SimulationOptions} [options]
+ * @returns {function(): number} */
+function rngFromOptions({rng, seed} = {}) {
+	return rng ?? (seed !== undefined ? seededRandom(seed) : Math.random);
+}
+
+/** Increments the count for a key in a histogram object.
+ * @private
+ * @param {Object.<number, number>} hist
+ * @param {number} key */
+function tally(hist, key) {
+	hist[key] = (hist[key] ?? 0) + 1;
+}
+
+/** Rolls a single nest from pre-calculated offspring outcomes.
+ * @private
+ * @param {OffspringOutcomes} outcomes
+ * @param {function(): number} rng
+ * @returns {DragonTraits[]} */
+function rollNest(outcomes, rng) {
+	const size = roll(outcomes.nest, rng).size,
+		hatchling = FR.AGES.findIndex(x => x.name === "Hatchling"),
+		nest = [];
+
+	for (let i = 0; i < size; i++) {
+		const indices = {
+			breed: roll(outcomes.breed, rng).index,
+			eye: roll(outcomes.eye, rng).index,
+			gender: roll(outcomes.gender, rng).index,
+			age: hatchling,
+			colour: {},
+			gene: {}
+		};
+		for (const slot in FR.GENES) {
+			indices.colour[slot] = roll(outcomes.colour[slot], rng).index;
+			indices.gene[slot] = roll(outcomes.gene[slot], rng).index;
+		}
+		nest.push(new DragonTraits(indices));
+	}
+	return nest;
+}
+
+/** Returns how many steps around the colour wheel a colour is from a target colour or `[first, last]` colour range; `0` if it's in the range.
+ * @private
+ * @param {number} colour
+ * @param {number|number[]} target
+ * @returns {number} */
+function colourDistance(colour, target) {
+	const [first, last] = target instanceof Array ? target.map(Number) : [+target, +target];
+	if (FR.isColourInRange(first, last, colour)) {
+		return 0;
+	}
+	return Math.min(FR.colourRangeLength(colour, first), FR.colourRangeLength(colour, last)) - 1;
+}
+
+/** Returns how hard it is to get from one gene or breed to a target one, measured by the odds of the target being passed down when nested against it: `-log2(odds)`, so that losing a coin flip costs `1`, and rarer targets cost more. Matches cost `0`.
+ * @private
+ * @param {Array.<{rarity: FR.Rarity}>} arr
+ * @param {number} current
+ * @param {number} target
+ * @returns {number} */
+function rarityDistance(arr, current, target) {
+	if (current === target) {
+		return 0;
+	}
+	return -Math.log2(FR.calcRarityProb(arr, current, target, target));
+}
+
+/** Scores how far a dragon is from a target; lower is closer, and `0` is a match. Each colour slot adds its distance from the target colour or colour range as a fraction of the furthest possible distance, and each mismatched breed or gene adds how hard the target is to pass down given its rarity.
+ * @private
+ * @param {Object} dragon Full set of indices.
+ * @param {Object} target Partial set of indices.
+ * @returns {number} */
+function targetDistance(dragon, target) {
+	const maxDist = FR.colourRangeLength(0, Math.floor(FR.COLOURS.length / 2)) - 1;
+	let dist = (target.breed !== undefined) ? rarityDistance(FR.BREEDS, dragon.breed, +target.breed) : 0;
+	for (const slot in FR.GENES) {
+		if (target.colour?.[slot] !== undefined) {
+			dist += colourDistance(dragon.colour[slot], target.colour[slot]) / maxDist;
+		}
+		if (target.gene?.[slot] !== undefined) {
+			dist += rarityDistance(FR.GENES[slot], dragon.gene[slot], +target.gene[slot]);
+		}
+	}
+	return dist;
+}
+
+/** Given two parents and a target, works out the hatchling from those parents which is closest to the target. Returns both the traits that hatchling needs to have, and a full set of indices standing in for it in future generations.
+ *
+ * For each target colour or colour range, the hatchling needs the whole target if the parents' range covers it, otherwise the part of it the parents' range overlaps, otherwise the parents' colour closest to it. Target genes that either parent has are passed down, as long as they're available on the hatchling's breed.
+ * @private
+ * @param {Object} a Full set of indices for the first parent.
+ * @param {Object} b Full set of indices for the second parent.
+ * @param {Object} target Partial set of indices.
+ * @returns {{offspring: Object, standIn: Object}} */
+function closestOffspring(a, b, target) {
+	const breeds = (target.breed !== undefined && (a.breed === +target.breed || b.breed === +target.breed))
+		? [+target.breed] : [a.breed, b.breed];
+
+	// Try each breed the hatchling could be, and keep the one that can carry the most target genes
+	let best;
+	for (const breed of breeds) {
+		const base = (breed === a.breed) ? a : b,
+			offspring = {colour: {}, gene: {}},
+			standIn = {breed, colour: {...base.colour}, gene: {...base.gene}};
+		let genes = 0;
+
+		if (a.breed !== b.breed) {
+			offspring.breed = breed;
+		}
+		for (const slot in FR.GENES) {
+			const t = target.colour?.[slot];
+			if (t !== undefined) {
+				const [first, last] = t instanceof Array ? t.map(Number) : [+t, +t],
+					overlap = FR.colourRangeIntersection(a.colour[slot], b.colour[slot], first, last)[0];
+				if (FR.isColourSubrangeInRange(a.colour[slot], b.colour[slot], first, last)) {
+					offspring.colour[slot] = t;
+					standIn.colour[slot] = first;
+				} else if (overlap) {
+					offspring.colour[slot] = overlap;
+					standIn.colour[slot] = overlap[0];
+				} else {
+					let closest;
+					for (const i of FR.colourRange(a.colour[slot], b.colour[slot])) {
+						if (closest === undefined || colourDistance(i, t) < colourDistance(closest, t)) {
+							closest = i;
+						}
+					}
+					offspring.colour[slot] = standIn.colour[slot] = closest;
+				}
+			}
+			const g = target.gene?.[slot];
+			if (g !== undefined && (a.gene[slot] === +g || b.gene[slot] === +g)
+				&& FR.GENES[slot][g].sidForBreed(breed) !== undefined) {
+				offspring.gene[slot] = standIn.gene[slot] = +g;
+				genes++;
+			}
+		}
+		if (!best || genes > best.genes) {
+			best = { offspring, standIn, genes };
+		}
+	}
+	return { offspring: best.offspring, standIn: best.standIn };
+}
+
+
+///////////////////////////////////////////////////////////////////////////////
+// PUBLIC FUNCTIONS
+///////////////////////////////////////////////////////////////////////////////
+
+/** Returns the full distribution of possible outcomes of nesting the two given dragons: the probability of every possible breed, eye type, gender, colour and gene for a single hatchling, and the possible nest sizes. If the parents' breeds are incompatible (as per {@link module:FRjs/data.areBreedsCompatible areBreedsCompatible}), returns `undefined`.
+ *
+ * Parents may be given as {@link module:FRjs/convert.DragonTraits DragonTraits} objects, or as objects of indices in the same format accepted by the `DragonTraits` constructor. Indices may be numbers or numeric strings. Unlike the constructor, invalid traits aren't replaced with defaults; if either parent has no breed or has any invalid traits, including genes that aren't available on its breed, returns `undefined`.
+ * @param {DragonTraits|Object} parentA The first parent.
+ * @param {DragonTraits|Object} parentB The second parent.
+ * @returns {OffspringOutcomes|undefined}
+ * @see {@link module:FRjs/breeding~OffspringOutcomes OffspringOutcomes} */
+export function offspringOutcomes(parentA, parentB) {
+	const a = parentIndices(parentA),
+		b = parentIndices(parentB);
+
+	if (!a || !b) {
+		return;
+	}
+	return outcomesFromIndices(a, b);
+}
+
+/** Returns the probability that a hatchling from nesting the two given dragons exactly matches a target dragon, along with the probability that at least one egg in the nest does. If the parents' breeds are incompatible, returns `undefined`.
+ *
+ * The target is an object of indices in the same format accepted by the `DragonTraits` constructor, except that any trait left undefined is treated as a wildcard which any hatchling matches, and that colours may also be given as `[first, last]` colour ranges which any colour in the range matches. Element and age are not decided by the parents, and are always ignored.
+ * @param {DragonTraits|Object} parentA The first parent.
+ * @param {DragonTraits|Object} parentB The second parent.
+ * @param {DragonTraits|Object} target The target dragon. If a `DragonTraits` object is given, all of its traits are matched.
+ * @returns {TargetProbability|undefined}
+ * @see {@link module:FRjs/breeding~TargetProbability TargetProbability} */
+export function probabilityOfTarget(parentA, parentB, target) {
+	const outcomes = offspringOutcomes(parentA, parentB);
+	if (!outcomes) {
+		return;
+	}
+	return targetProbability(outcomes, target instanceof DragonTraits ? target.indices : target);
+}
+
+/** Given the probability of a single hatchling matching some target and the possible nest sizes, estimates how many nests it will take to hatch a match. If the target can never hatch, all nest counts are `Infinity`. If the probability is not a number between 0 and 1, or the nest sizes aren't an array, returns `undefined`.
+ * @param {number} prob The probability of a single hatchling matching the target.
+ * @param {FR.Nest[]} nest Possible nest sizes and their probabilities, as returned by {@link module:FRjs/data.nestSizesForBreeds nestSizesForBreeds}.
+ * @returns {NestEstimate|undefined}
+ * @see {@link module:FRjs/breeding~NestEstimate NestEstimate} */
+export function expectedNests(prob, nest) {
+	if (!(prob >= 0 && prob <= 1 && nest instanceof Array)) {
+		return;
+	}
+	const perNest = nestMatchProb(nest, prob);
+	return {
+		perNest,
+		mean: perNest > 0 ? 1 / perNest : Infinity,
+		median: nestsForConfidence(perNest, 0.5),
+		confidence: {
+			50: nestsForConfidence(perNest, 0.5),
+			90: nestsForConfidence(perNest, 0.9),
+			99: nestsForConfidence(perNest, 0.99)
+		}
+	};
+}
+
+/** Estimates how many nests it will take to hatch a matching dragon when nesting dragons of the two given breeds. If the breeds are incompatible, or if either is not an index in {@link module:FRjs/data.BREEDS BREEDS}, returns `undefined`.
+ *
+ * `match` may be either the probability of a single hatchling matching the target, or a predicate which is called with the index of each breed a hatchling could be. The predicate should return whether a hatchling of that breed matches, or the probability that it does.
+ * @param {number} one Index of the first breed.
+ * @param {number} two Index of the second breed.
+ * @param {number|function(number): (boolean|number)} match The per-hatchling probability of a match, or a predicate as described above.
+ * @returns {NestEstimate|undefined}
+ * @see {@link module:FRjs/breeding~NestEstimate NestEstimate} */
+export function expectedNestsForBreeds(one, two, match) {
+	const nest = FR.nestSizesForBreeds(one, two);
+	if (!nest) {
+		return;
+	}
+	let prob = match;
+	if (typeof match === "function") {
+		prob = rarityOutcomes(FR.BREEDS, +one, +two)
+			.reduce((sum, x) => sum + x.probability * +match(x.index), 0);
+	}
+	return expectedNests(prob, nest);
+}
+
+/** Returns a seedable pseudo-random number generator (mulberry32). Each call of the returned function gives the next number in the range [0, 1) in a sequence which is always the same for the same seed.
+ * @param {number} seed Any 32-bit integer.
+ * @returns {function(): number} */
+export function seededRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/** Simulates nesting the two given dragons once: rolls a nest size, and then the breed, eye type, gender, colours, and genes of each hatchling, using the same probabilities as {@link module:FRjs/breeding.offspringOutcomes offspringOutcomes}. If the parents' breeds are incompatible, returns `undefined`.
+ *
+ * All returned dragons are hatchlings. Their element is left as the default, since it isn't decided by the parents.
+ * @param {DragonTraits|Object} parentA The first parent.
+ * @param {DragonTraits|Object} parentB The second parent.
+ * @param {SimulationOptions} [options]
+ * @returns {DragonTraits[]|undefined}
+ * @see {@link module:FRjs/breeding~SimulationOptions SimulationOptions} */
+export function simulateNest(parentA, parentB, options) {
+	const outcomes = offspringOutcomes(parentA, parentB);
+	if (!outcomes) {
+		return;
+	}
+	return rollNest(outcomes, rngFromOptions(options));
+}
+
+/** Simulates nesting the two given dragons `count` times, and returns histograms of every trait rolled across all nests. If the parents' breeds are incompatible, returns `undefined`.
+ * @param {DragonTraits|Object} parentA The first parent.
+ * @param {DragonTraits|Object} parentB The second parent.
+ * @param {number} count The number of nests to simulate.
+ * @param {SimulationOptions} [options]
+ * @returns {SimulationHistograms|undefined}
+ * @see {@link module:FRjs/breeding~SimulationHistograms SimulationHistograms} */
+export function simulateNests(parentA, parentB, count, options) {
+	const outcomes = offspringOutcomes(parentA, parentB);
+	if (!outcomes) {
+		return;
+	}
+	const rng = rngFromOptions(options);
+	const hists = {
+		nests: 0, hatchlings: 0,
+		nestSize: {}, breed: {}, eye: {}, gender: {},
+		colour: {primary: {}, secondary: {}, tertiary: {}},
+		gene: {primary: {}, secondary: {}, tertiary: {}}
+	};
+
+	for (let n = 0; n < count; n++) {
+		const nest = rollNest(outcomes, rng);
+		hists.nests++;
+		tally(hists.nestSize, nest.length);
+		for (const dragon of nest) {
+			const idxs = dragon.indices;
+			hists.hatchlings++;
+			tally(hists.breed, idxs.breed);
+			tally(hists.eye, idxs.eye);
+			tally(hists.gender, idxs.gender);
+			for (const slot in FR.GENES) {
+				tally(hists.colour[slot], idxs.colour[slot]);
+				tally(hists.gene[slot], idxs.gene[slot]);
+			}
+		}
+	}
+	return hists;
+}
+
+/** Searches a group of dragons (such as a user's lair) for every compatible pair that could produce the target dragon, and returns them ranked from most to least likely to produce it. Pairs that can never produce the target, and dragons that are invalid as parents (see {@link module:FRjs/breeding.offspringOutcomes offspringOutcomes}), are left out.
+ *
+ * The target is a partial set of indices, with the same wildcard behaviour as in {@link module:FRjs/breeding.probabilityOfTarget probabilityOfTarget}. Pairs are ranked by the probability of a single hatchling matching; ties are broken by the probability per nest.
+ * @param {Array.<DragonTraits|Object>} dragons The dragons to search.
+ * @param {DragonTraits|Object} target The target dragon.
+ * @param {Object} [options]
+ * @param {boolean} [options.oppositeGender=false] If `true`, only pairs of one male and one female are included. Dragons given as plain objects of indices without a `gender` may be paired with either gender, as in {@link module:FRjs/breeding.planProject planProject}.
+ * @returns {PairResult[]}
+ * @see {@link module:FRjs/breeding~PairResult PairResult} */
+export function findPairs(dragons, target, {oppositeGender = false} = {}) {
+	if (target instanceof DragonTraits) {
+		target = target.indices;
+	}
+	const idxs = dragons.map(candidateIndices),
+		results = [];
+
+	for (let i = 0; i < idxs.length; i++) {
+		for (let j = i + 1; j < idxs.length; j++) {
+			if (!idxs[i] || !idxs[j] || (oppositeGender && !oppositeGenders(idxs[i], idxs[j]))) {
+				continue;
+			}
+			const outcomes = outcomesFromIndices(idxs[i], idxs[j]),
+				prob = outcomes && targetProbability(outcomes, target);
+			if (prob?.hatchling > 0) {
+				results.push({ one: i, two: j, ...prob });
+			}
+		}
+	}
+	return results.sort((a, b) => (b.hatchling - a.hatchling) || (b.nest - a.nest));
+}
+
+/** Plans a breeding project over several generations, leading from a group of available dragons to a target dragon. Useful when no pair of available dragons can produce the target directly; for example, when the target gene and the dragons whose colours cover the target colour are on different dragons, and have to be combined first.
+ *
+ * Each generation, if any pair can produce the target directly, the best such pair completes the plan. Otherwise, the planner picks the pair whose closest possible hatchling gets nearest the target, and adds that hatchling to the pool of available dragons for the next generation. Closeness counts how far each colour is from the target colour or colour range, and how unlikely each target gene and breed is to be passed down given its rarity. If no pair gets any closer, or the target still can't be reached after `maxGenerations` generations, returns `undefined`.
+ *
+ * Only pairs of one male and one female are planned. Dragons given as plain objects of indices without a `gender` may be paired with either gender. Hatchlings from earlier steps may also be either gender until they're paired, at which point their step's `offspring.gender` (and `probability`) is updated to match.
+ *
+ * The target is a partial set of indices, with the same wildcard and colour range behaviour as in {@link module:FRjs/breeding.probabilityOfTarget probabilityOfTarget}.
+ * @param {Array.<DragonTraits|Object>} dragons The available dragons.
+ * @param {DragonTraits|Object} target The target dragon.
+ * @param {Object} [options]
+ * @param {number} [options.maxGenerations=3] The maximum number of generations to plan for.
+ * @returns {PlanStep[]|undefined} The steps of the plan, in the order they need to be carried out.
+ * @see {@link module:FRjs/breeding~PlanStep PlanStep} */
+export function planProject(dragons, target, {maxGenerations = 3} = {}) {
+	if (target instanceof DragonTraits) {
+		target = target.indices;
+	}
+	const pool = dragons.map(candidateIndices),
+		// Map of pool indices of hatchlings from earlier steps to those steps
+		producedBy = new Map(),
+		plan = [];
+
+	const step = (one, two, offspring) => {
+		const probability = targetProbability(outcomesFromIndices(pool[one], pool[two]), offspring).hatchling;
+		return {
+			generation: plan.length + 1,
+			one, two, offspring, probability,
+			nests: expectedNests(probability, FR.nestSizesForBreeds(pool[one].breed, pool[two].breed))
+		};
+	};
+	const canPair = (i, j) => pool[i] && pool[j] && FR.areBreedsCompatible(pool[i].breed, pool[j].breed)
+		&& oppositeGenders(pool[i], pool[j]);
+	// Settles the genders of any hatchlings from earlier steps in a pair, so that the pair is one male and one female
+	const pair = (i, j) => {
+		for (const [x, y] of [[i, j], [j, i]]) {
+			if (pool[x].gender === undefined && producedBy.has(x)) {
+				// the other of the two genders
+				pool[x].gender = (pool[y].gender === undefined) ? 0 : 1 - pool[y].gender;
+				const s = producedBy.get(x);
+				plan[s] = { ...step(plan[s].one, plan[s].two, {...plan[s].offspring, gender: pool[x].gender}), generation: plan[s].generation };
+			}
+		}
+	};
+
+	for (let gen = 1; gen <= maxGenerations; gen++) {
+		let direct;
+		for (let i = 0; i < pool.length; i++) {
+			for (let j = i + 1; j < pool.length; j++) {
+				if (!canPair(i, j)) {
+					continue;
+				}
+				const prob = targetProbability(outcomesFromIndices(pool[i], pool[j]), target);
+				if (prob.hatchling > 0 && (!direct || prob.hatchling > direct.hatchling
+					|| (prob.hatchling === direct.hatchling && prob.nest > direct.nest))) {
+					direct = { i, j, ...prob };
+				}
+			}
+		}
+		if (direct) {
+			pair(direct.i, direct.j);
+			plan.push(step(direct.i, direct.j, target));
+			return plan;
+		} else if (gen === maxGenerations) {
+			return;
+		}
+
+		const poolDist = Math.min(...pool.filter(x => x).map(x => targetDistance(x, target)));
+		let best;
+		for (let i = 0; i < pool.length; i++) {
+			for (let j = i + 1; j < pool.length; j++) {
+				if (!canPair(i, j)) {
+					continue;
+				}
+				const {offspring, standIn} = closestOffspring(pool[i], pool[j], target),
+					dist = targetDistance(standIn, target);
+				if (dist >= poolDist || (best && dist > best.dist)) {
+					continue;
+				}
+				const prob = targetProbability(outcomesFromIndices(pool[i], pool[j]), offspring).hatchling;
+				if (!best || dist < best.dist || prob > best.prob) {
+					best = { i, j, offspring, standIn, dist, prob };
+				}
+			}
+		}
+		if (!best) {
+			return;
+		}
+		pair(best.i, best.j);
+		plan.push(step(best.i, best.j, best.offspring));
+		producedBy.set(pool.length, plan.length - 1);
+		pool.push({ ...new DragonTraits(best.standIn).indices, gender: undefined });
+	}
+}
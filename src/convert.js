@@ -1,5 +1,5 @@
 /**
- * A class for converting the relevant data in scrying workshop links and dragon profile pages into indices in the arrays of module:FRjs/data, and for converting those indices into a functioning scrying workshop link. See the `DragonTraits` class' documentation for more details. See the tutorial for usage examples.
+ * A class for converting the relevant data in scrying workshop links and dragon profile pages into indices in the arrays of module:FRjs/data, and for converting those indices into a functioning scrying workshop link. See the `DragonTraits` class' documentation for more details. Also contains the `DragonRecord` class, which pairs a dragon's traits with the details that identify it, such as its ID, name, and parents. See the tutorial for usage examples.
  *
  * @module FRjs/convert
  * @tutorial 07-fr-convert
@@ -9,6 +9,457 @@
 import * as FR from "./data.js";
 
 
+/** @typedef {Object} ProfileParseResult
+ * @property {DragonTraits|undefined} traits The dragon's traits, or `undefined` if the profile text wasn't in the expected format.
+ * @property {Object} indices The indices of all traits that were found, in the same format as {@link module:FRjs/convert.DragonTraits#indices DragonTraits.indices}. Traits that weren't found or recognised are `undefined`.
+ * @property {Object} raw The text found for each trait, in the same format as `indices` but with values of `{text: string, line: number}`. Line numbers start at 1.
+ * @property {string[]} unrecognised Every trait whose name wasn't recognised, as a path into `indices`; for example `"breed"` or `"gene.primary"`.
+ * @property {ProfileParseError[]} errors Everything that went wrong, in the order it was found in the profile text.
+ * @property {{name: (string|undefined), id: (number|undefined), owner: (string|undefined), level: (number|undefined), hatchDate: (Date|undefined), parents: (number[]|undefined), offspring: (number[]|undefined)}} details Other details about the dragon, where they could be found. The name, parents, and offspring are only found in profile HTML.
+ * @property {DragonRecord|undefined} record The dragon's traits and details together, or `undefined` if the profile text wasn't in the expected format.
+ */
+
+/** @typedef {Object} BatchParseResult
+ * @property {DragonRecord[]} records Records for every dragon that was parsed successfully, in the order they appear.
+ * @property {ProfileParseResult[]} entries The results of parsing each dragon found, in the order they appear, including ones that failed. Entries that failed have no `record`.
+ */
+
+/** The base class for errors found while parsing a dragon profile.
+ * @extends Error */
+export class ProfileParseError extends Error {
+	/** @param {string} message
+	 * @param {number} line */
+	constructor(message, line) {
+		super(message);
+		this.name = "ProfileParseError";
+		/** The line of the profile text the error was found on. Line numbers start at 1.
+		 * @type {number} */
+		this.line = line;
+	}
+}
+
+/** An error thrown or returned when part of a dragon profile that contains traits can't be found in the profile text; usually because the text isn't from a dragon profile, or was only partly copied.
+ * @extends ProfileParseError */
+export class ProfileFormatError extends ProfileParseError {
+	/** @param {string} section
+	 * @param {number} line */
+	constructor(section, line) {
+		super(`Couldn't find the "${section}" part of the dragon profile on or after line ${line}`, line);
+		this.name = "ProfileFormatError";
+		/** The name of the part of the profile that couldn't be found; for example, `"Primary Gene"`.
+		 * @type {string} */
+		this.section = section;
+	}
+}
+
+/** An error returned when a trait's name in a dragon profile doesn't match any trait in FRjs/data; for example, because of a typo, or because the trait is newer than the data.
+ * @extends ProfileParseError */
+export class UnknownTraitError extends ProfileParseError {
+	/** @param {string} field
+	 * @param {string} text
+	 * @param {number} line */
+	constructor(field, text, line) {
+		super(`Unrecognised ${field} "${text}" on line ${line} of the dragon profile`, line);
+		this.name = "UnknownTraitError";
+		/** Which trait wasn't recognised, as a path into {@link module:FRjs/convert.DragonTraits#indices DragonTraits.indices}; for example `"breed"` or `"gene.primary"`.
+		 * @type {string} */
+		this.field = field;
+		/** The name found in the profile.
+		 * @type {string} */
+		this.text = text;
+	}
+}
+
+/** @typedef {Object} TraitProblem
+ * @property {string} field The invalid trait, as a path into {@link module:FRjs/convert.DragonTraits#indices DragonTraits.indices}; for example `"breed"` or `"gene.primary"`.
+ * @property {*} value The invalid value.
+ * @property {string} reason A human-readable description of the problem.
+ */
+
+/** An error thrown by the {@link module:FRjs/convert.DragonTraits DragonTraits} constructor in strict mode when any traits are invalid.
+ * @extends TypeError */
+export class InvalidTraitsError extends TypeError {
+	/** @param {TraitProblem[]} problems */
+	constructor(problems) {
+		super(`Invalid dragon traits: ${problems.map(x => x.reason).join("; ")}.`);
+		this.name = "InvalidTraitsError";
+		/** Every problem with the traits.
+		 * @type {TraitProblem[]} */
+		this.problems = problems;
+	}
+}
+
+// The parts of a profile's text that contain traits, in the order they appear.
+// Each has a function that, given a line number, returns the line number of
+// the part's first field if the part starts on that line, or -1 if it doesn't.
+const PROFILE_SECTIONS = [
+	...["Primary", "Secondary", "Tertiary"].map(slot => ({
+		name: `${slot} Gene`,
+		start: (lines, i) => lines[i] === `${slot} Gene` ? i + 1 : -1,
+		fields: [`colour.${slot.toLowerCase()}`, `gene.${slot.toLowerCase()}`]
+	})),
+	{
+		name: "Breed",
+		start: (lines, i) => (lines[i] === "Breed" && lines[i+1] === "Breed") ? i + 2 : -1,
+		fields: ["age", "breed"]
+	},
+	{
+		name: "Eye Type",
+		start: (lines, i) => {
+			if (lines[i] !== "Eye Type") {
+				return -1;
+			}
+			while (lines[i+1]?.endsWith("Eye Type")) {
+				i++;
+			}
+			return i + 1;
+		},
+		fields: ["element", "eye"]
+	}
+];
+
+/** Returns the FRjs/data array for a trait path, such as `"breed"` or `"gene.primary"`.
+ * @private
+ * @param {string} field
+ * @returns {Array} */
+function fieldArray(field) {
+	const [trait, slot] = field.split(".");
+	switch (trait) {
+		case "breed": return FR.BREEDS;
+		case "eye": return FR.EYES;
+		case "element": return FR.ELEMENTS;
+		case "gender": return FR.GENDERS;
+		case "age": return FR.AGES;
+		case "colour": return FR.COLOURS;
+		case "gene": return FR.GENES[slot];
+	}
+}
+
+/** Sets a value in an object of traits at a trait path, such as `"breed"` or `"gene.primary"`.
+ * @private
+ * @param {Object} obj
+ * @param {string} field
+ * @param {*} value */
+function setField(obj, field, value) {
+	const [trait, slot] = field.split(".");
+	if (slot === undefined) {
+		obj[trait] = value;
+	} else {
+		obj[trait][slot] = value;
+	}
+}
+
+/** Parses the lines of text of a dragon profile.
+ * @private
+ * @param {string[]} lines The trimmed lines of the profile's text.
+ * @param {number} [offset=0] The number of lines before `lines` in the full text, for line numbers.
+ * @returns {ProfileParseResult} */
+function parseLines(lines, offset = 0) {
+	const raw = {colour: {}, gene: {}},
+		indices = {colour: {}, gene: {}},
+		unrecognised = [],
+		errors = [];
+
+	let pos = 0;
+	for (const {name, start, fields} of PROFILE_SECTIONS) {
+		let first = -1;
+		for (let i = pos; i < lines.length && first === -1; i++) {
+			first = start(lines, i);
+		}
+		if (first === -1 || first + fields.length > lines.length) {
+			errors.push(new ProfileFormatError(name, offset + pos + 1));
+			continue;
+		}
+		fields.forEach((field, i) => {
+			const line = first + i,
+				text = lines[line].replace(/(?: \([^)]*\))+$/, ""); // remove rarity from genes
+			const index = FR.indexByName(fieldArray(field), text);
+			setField(raw, field, { text, line: offset + line + 1 });
+			setField(indices, field, index);
+			if (index === undefined) {
+				unrecognised.push(field);
+				errors.push(new UnknownTraitError(field, text, offset + line + 1));
+			}
+		});
+		pos = first + fields.length;
+	}
+
+	const details = {};
+	lines.forEach((line, i) => {
+		details.level ??= /^Level:?\s*(\d+)$/i.exec(line)?.[1];
+		details.id ??= /^#(\d+)$/.exec(line)?.[1];
+		details.hatchDate ??= /^Hatch ?day:?\s*(.*)$/i.exec(line)?.[1] || (/^Hatch ?day:?$/i.test(line) ? lines[i+1] : undefined);
+		details.owner ??= /^(?:Owner|Owned by):?\s*(.*)$/i.exec(line)?.[1] || (/^(?:Owner|Owned by):?$/i.test(line) ? lines[i+1] : undefined);
+	});
+	details.level = details.level && parseInt(details.level);
+	details.id = details.id && parseInt(details.id);
+	details.hatchDate = details.hatchDate && new Date(details.hatchDate);
+	if (Number.isNaN(details.hatchDate?.getTime())) {
+		details.hatchDate = undefined;
+	}
+
+	return { indices, raw, unrecognised, errors, details };
+}
+
+/** Adds the traits and record to the result of parsing a dragon profile, unless the profile wasn't in the expected format.
+ * @private
+ * @param {ProfileParseResult} result
+ * @returns {ProfileParseResult} */
+function finishParse(result) {
+	if (!result.errors.some(x => x instanceof ProfileFormatError)) {
+		result.traits = new DragonTraits(result.indices);
+		result.record = new DragonRecord({ ...result.details, traits: result.traits });
+	}
+	return result;
+}
+
+/** Returns the given HTML as a parsed document, unless it's already been parsed.
+ * @private
+ * @param {string|Document|Element} html
+ * @param {{parseFromString: function(string, string): Document}} [parser]
+ * @returns {Document|Element} */
+function toDocument(html, parser) {
+	if (typeof html !== "string") {
+		return html;
+	}
+	parser ??= globalThis.DOMParser && new globalThis.DOMParser();
+	if (!parser) {
+		throw new TypeError("No HTML parser is available; pass one as options.parser.");
+	}
+	return parser.parseFromString(html, "text/html");
+}
+
+/** Parses a dragon profile page, or the part of a page containing a single dragon.
+ * @private
+ * @param {Document|Element} root
+ * @param {Object} [options]
+ * @param {string} [options.genderSelector] A CSS selector for the dragon's gender icon, or an element containing it.
+ * @returns {ProfileParseResult} */
+function parseHTML(root, {genderSelector} = {}) {
+	const result = parseLines(textLines(root.body ?? root));
+	const {details, indices} = result;
+
+	const url = root.querySelector("link[rel=canonical], meta[property='og:url']");
+	details.id = /\/dragon\/(\d+)/.exec(url?.getAttribute("href") ?? url?.getAttribute("content"))?.[1] ?? details.id;
+	const title = root.querySelector("meta[property='og:title']")?.getAttribute("content") ?? root.querySelector("title")?.textContent;
+	details.name = title?.trim().replace(/^Flight Rising\s*[-|:]\s*|\s*[-|:]\s*Flight Rising$/i, "") || undefined;
+	if (details.id !== undefined) {
+		details.id = parseInt(details.id);
+	}
+
+	// Parents and offspring are the dragons linked after their headings
+	details.parents = [];
+	details.offspring = [];
+	const traitHeadings = [],
+		familyHeadings = [],
+		familyEls = new Set();
+	let family;
+	for (const el of root.querySelectorAll("*")) {
+		const ownText = [...el.childNodes].filter(x => x.nodeType === 3).map(x => x.nodeValue).join("").trim();
+		if (/^(?:Parents|Offspring)$/i.test(ownText)) {
+			family = details[ownText.toLowerCase()];
+			familyHeadings.push(el);
+		} else if (PROFILE_SECTIONS.some(x => x.name === ownText)) {
+			family = undefined;
+			traitHeadings.push(el);
+		}
+		if (family) {
+			familyEls.add(el);
+		}
+		const id = dragonLinkId(el);
+		if (family && id && id !== details.id && !family.includes(id)) {
+			family.push(id);
+		}
+	}
+
+	// Gender isn't in the page's text; find it from the dragon's own gender icon. Parents,
+	// offspring and the rest of the site have gender icons too, so without a selector, only
+	// look in the smallest part of the page around the dragon's traits that has an icon,
+	// and no further out than the part that also holds its parents and offspring.
+	let icons;
+	if (genderSelector) {
+		icons = [...root.querySelectorAll(genderSelector)].flatMap(el => [el, ...el.querySelectorAll(GENDER_ICON_TAGS)]);
+	} else {
+		const candidates = [...root.querySelectorAll(GENDER_ICON_TAGS)].filter(el => !familyEls.has(el) && genderIcon(el)),
+			traits = commonAncestor(traitHeadings) ?? root.body ?? root,
+			limit = familyHeadings.length ? commonAncestor([traits, ...familyHeadings]) : root;
+		for (let box = traits; box; box = box === limit ? undefined : box.parentElement) {
+			icons = candidates.filter(el => box.contains(el));
+			if (icons.length) {
+				break;
+			}
+		}
+	}
+	const gender = icons?.map(genderIcon).find(x => x);
+	if (gender) {
+		indices.gender = FR.indexByName(FR.GENDERS, gender);
+	}
+
+	return result;
+}
+
+/** Returns the gender named in an element's attributes, such as the `src` or `alt` of a gender icon.
+ * @private
+ * @param {Element} el
+ * @returns {string|undefined} */
+function genderIcon(el) {
+	return /(?:^|[^a-z])(female|male)(?:[^a-z]|$)/i.exec([...el.attributes].map(x => x.value).join(" "))?.[1];
+}
+
+/** Returns the ID of the dragon an element links to, if it's a link to a dragon's profile.
+ * @private
+ * @param {Element} el
+ * @returns {number|undefined} */
+function dragonLinkId(el) {
+	return (el.tagName.toUpperCase() === "A" && parseInt(/\/dragon\/(\d+)/.exec(el.getAttribute("href"))?.[1])) || undefined;
+}
+
+// Patterns for the parts of a dragon's entry in a lair or den listing: its ID
+// (as "#123" or a link to its profile), and its level.
+const LISTING_ID = /(?:(?:^|\s)#|\/dragon\/)(\d+)\b/;
+const LISTING_LEVEL = /\b(?:Level|Lvl|Lv)\.?:?\s*(\d+)\b/i;
+
+/** Parses the lines of text of one dragon's entry in a lair or den listing. Listings only show some of a dragon's details, so only the ID, level, breed, gender, and age are looked for. Breeds, genders, and ages are found on the dragon's level line (such as "Level 25 Imperial"), or on lines of their own. A breed on the level line that isn't recognised is an error; nothing else is.
+ * @private
+ * @param {string[]} lines The trimmed lines of the entry's text.
+ * @param {number} [offset=0] The number of lines before `lines` in the full text, for line numbers.
+ * @param {string} [name] The dragon's name, if known. Its name is never read as a trait.
+ * @returns {ProfileParseResult} */
+function parseListing(lines, offset = 0, name) {
+	const raw = {colour: {}, gene: {}},
+		indices = {colour: {}, gene: {}},
+		unrecognised = [],
+		errors = [],
+		details = { name };
+
+	// The first time each trait is found wins
+	const found = (field, text, line, index) => {
+		if (raw[field] !== undefined) {
+			return;
+		}
+		raw[field] = { text, line: offset + line + 1 };
+		indices[field] = index;
+		if (index === undefined) {
+			unrecognised.push(field);
+			errors.push(new UnknownTraitError(field, text, offset + line + 1));
+		}
+	};
+
+	lines.forEach((line, i) => {
+		details.id ??= LISTING_ID.exec(line)?.[1];
+		if (name && line.startsWith(name)) {
+			line = line.slice(name.length);
+		}
+		const level = LISTING_LEVEL.exec(line)?.[1];
+		details.level ??= level;
+
+		const rest = [];
+		for (const word of line.replace(LISTING_LEVEL, " ").replace(LISTING_ID, " ").split(/[\s,|:;()\u00b7\u2022]+/)) {
+			if (/^(?:fe)?male$/i.test(word)) {
+				found("gender", word, i, FR.indexByName(FR.GENDERS, word));
+			} else if (/^(?:hatchling|adult)$/i.test(word)) {
+				found("age", word, i, FR.indexByName(FR.AGES, word));
+			} else if (word !== "") {
+				rest.push(word);
+			}
+		}
+		// Only the level line may have other words around the breed
+		const breed = (level ? rest : [rest.join(" ")]).find(x => FR.indexByName(FR.BREEDS, x) !== undefined);
+		if (breed) {
+			found("breed", breed, i, FR.indexByName(FR.BREEDS, breed));
+		} else if (level && rest.length) {
+			found("breed", rest.join(" "), i, undefined);
+		}
+	});
+	details.level = details.level && parseInt(details.level);
+	details.id = details.id && parseInt(details.id);
+
+	return { indices, raw, unrecognised, errors, details };
+}
+
+/** Finds each dragon's entry in a lair or den listing. Unless a selector is given, each dragon's entry is the largest part of the page that contains links to that dragon's profile, and to no other dragon's.
+ * @private
+ * @param {Document|Element} root
+ * @param {string} [cardSelector] A CSS selector matching each dragon's entry.
+ * @returns {Element[]} */
+function listingCards(root, cardSelector) {
+	if (cardSelector) {
+		return [...root.querySelectorAll(cardSelector)];
+	}
+	const links = [...root.querySelectorAll("a[href*='/dragon/']")].filter(dragonLinkId);
+
+	// IDs of the dragons linked to inside each element
+	const linked = new Map();
+	for (const link of links) {
+		for (let box = link; box; box = box.parentElement) {
+			if (!linked.has(box)) {
+				linked.set(box, new Set());
+			}
+			linked.get(box).add(dragonLinkId(link));
+		}
+	}
+	const cards = new Map();
+	for (const link of links) {
+		if (!cards.has(dragonLinkId(link))) {
+			let box = link;
+			while (box.parentElement && linked.get(box.parentElement).size === 1) {
+				box = box.parentElement;
+			}
+			cards.set(dragonLinkId(link), box);
+		}
+	}
+	return [...cards.values()];
+}
+
+/** Returns the innermost element containing all of the given elements, or `undefined` if there are none.
+ * @private
+ * @param {Element[]} els
+ * @returns {Element|undefined} */
+function commonAncestor(els) {
+	let box = els[0];
+	while (box && !els.every(x => box.contains(x))) {
+		box = box.parentElement;
+	}
+	return box ?? undefined;
+}
+
+// Elements whose contents are on their own lines in a page's text,
+// elements whose contents aren't visible text, and elements that may be a
+// gender icon.
+const BLOCK_TAGS = new Set(["ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "BR", "DD", "DIV", "DL", "DT", "FIELDSET", "FIGCAPTION", "FIGURE", "FOOTER", "FORM", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION", "TABLE", "TBODY", "TD", "TH", "THEAD", "TR", "UL"]);
+const HIDDEN_TAGS = new Set(["HEAD", "NOSCRIPT", "SCRIPT", "STYLE", "TEMPLATE"]);
+const GENDER_ICON_TAGS = "img, span, i, svg, use";
+
+/** Returns the non-blank lines of visible text in an HTML element, roughly as a browser would copy them.
+ * @private
+ * @param {Node} root
+ * @returns {string[]} */
+function textLines(root) {
+	const lines = [""];
+	const walk = node => {
+		for (const child of node.childNodes) {
+			if (child.nodeType === 3) { // text
+				lines[lines.length - 1] += child.nodeValue.replace(/\s+/g, " ");
+			} else if (child.nodeType === 1) { // element
+				const tag = child.tagName.toUpperCase();
+				if (HIDDEN_TAGS.has(tag)) {
+					continue;
+				}
+				const block = BLOCK_TAGS.has(tag);
+				if (block) {
+					lines.push("");
+				}
+				walk(child);
+				if (block) {
+					lines.push("");
+				}
+			}
+		}
+	};
+	walk(root);
+	return lines.map(x => x.trim()).filter(x => x !== "");
+}
+
 /** A class representing the traits of a single dragon within the context of FRjs. The class is intended to convert between indices in FRjs/data arrays, dragon profile pages, and scrying workshop links; hence, the trait data is immutable after object construction and all objects should be short-lived.
  *
  * | Tutorials | {@tutorial 07-fr-convert} |
@@ -34,57 +485,178 @@ export class DragonTraits {
 			url[k] = parseInt?.(url[k]);
 		}
 
-		const breed = FR.BREEDS.findIndex(x => url.breed === x.sid);
-
-		return new DragonTraits({
-			breed: breed,
-			eye: FR.EYES.findIndex(x => url.eyetype === x.sid),
-			element: FR.ELEMENTS.findIndex(x => url.element === x.sid),
-			age: FR.AGES.findIndex(x => url.age === x.sid),
-			gender: FR.GENDERS.findIndex(x => url.gender === x.sid),
+		return DragonTraits.fromSids({
+			breed: url.breed,
+			eye: url.eyetype,
+			element: url.element,
+			age: url.age,
+			gender: url.gender,
 			colour: {
-				primary: FR.COLOURS.findIndex(x => url.body === x.sid),
-				secondary: FR.COLOURS.findIndex(x => url.wings === x.sid),
-				tertiary: FR.COLOURS.findIndex(x => url.tert === x.sid)
+				primary: url.body,
+				secondary: url.wings,
+				tertiary: url.tert
 			},
 			gene: {
-				primary: FR.GENES.primary.findIndex(x => url.bodygene === x.sidForBreed(breed)),
-				secondary: FR.GENES.secondary.findIndex(x => url.winggene === x.sidForBreed(breed)),
-				tertiary: FR.GENES.tertiary.findIndex(x => url.tertgene === x.sidForBreed(breed))
+				primary: url.bodygene,
+				secondary: url.winggene,
+				tertiary: url.tertgene
 			}
 		});
 	}
 
-	/** Returns a {@link module:FRjs/convert.DragonTraits DragonTraits} object containing all traits defined in the contents of the given dragon profile. Note: gender is not present in text on dragon profiles, and will be the default of Male.
-	 * @param {string} profile The text contents of a dragon's profile page. NOT the page HTML; what you get by selecting all text on the page in the browser window and copying it.
+	/** Returns a {@link module:FRjs/convert.DragonTraits DragonTraits} object containing all traits defined in an object of on-site IDs, such as one previously returned by {@link module:FRjs/convert.DragonTraits#sids DragonTraits.sids}. This is the counterpart to `sids` for loading saved dragons.
+	 * @param {{breed: number, eye: number, element: number, gender: number, age: number, colour: {primary: number, secondary: number, tertiary: number}, gene: {primary: number, secondary: number, tertiary: number}}} sids An object in the same format as `sids`. Any traits may be left out.
 	 * @returns {DragonTraits} */
-	static fromProfile(profile) {
-		const profileRegex = /Primary Gene\n(\w+)\n(\w+)(?: \(\w+\))*\nSecondary Gene\n(\w+)\n(\w+)(?: \(\w+\))*\nTertiary Gene\n(\w+)\n(\w+).*(?:Breed\n){2}(\w+)\n(\w+)\nEye Type\n(?:Special )*Eye Type\n(\w+)\n(\w+)/s;
-		const matches = profileRegex.exec(profile.replace(/\r/g, ""));
-		// For some reason this age is "Dragon" in the scryshop, and "Adult" on profiles.
-		matches[7] = matches[7] === "Adult" ? "Dragon" : matches[7];
+	static fromSids(sids) {
+		const breed = FR.breedBySid(sids.breed);
 
 		return new DragonTraits({
-			breed: FR.BREEDS.findIndex(x => matches[8] === x.name),
-			eye: FR.EYES.findIndex(x => matches[10] === x.name),
-			element: FR.ELEMENTS.findIndex(x => matches[9] === x.name),
-			age: FR.AGES.findIndex(x => matches[7] === x.name),
+			breed: breed,
+			eye: FR.eyeBySid(sids.eye),
+			element: FR.elementBySid(sids.element),
+			age: FR.ageBySid(sids.age),
+			gender: FR.genderBySid(sids.gender),
 			colour: {
-				primary: FR.COLOURS.findIndex(x => matches[1] === x.name),
-				secondary: FR.COLOURS.findIndex(x => matches[3] === x.name),
-				tertiary: FR.COLOURS.findIndex(x => matches[5] === x.name)
+				primary: FR.colourBySid(sids.colour?.primary),
+				secondary: FR.colourBySid(sids.colour?.secondary),
+				tertiary: FR.colourBySid(sids.colour?.tertiary)
 			},
 			gene: {
-				primary: FR.GENES.primary.findIndex(x => matches[2] === x.name),
-				secondary: FR.GENES.secondary.findIndex(x => matches[4] === x.name),
-				tertiary: FR.GENES.tertiary.findIndex(x => matches[6] === x.name)
+				primary: FR.geneBySid("primary", breed, sids.gene?.primary),
+				secondary: FR.geneBySid("secondary", breed, sids.gene?.secondary),
+				tertiary: FR.geneBySid("tertiary", breed, sids.gene?.tertiary)
 			}
 		});
 	}
 
+	/** Converts an object of indices saved under an older version of the FRjs/data arrays into indices in the current arrays. Traits that no longer exist become `undefined`, which the constructor treats as invalid. Elements, genders, and ages are never migrated, since they don't change.
+	 *
+	 * To migrate, you need the {@link module:FRjs/data.DATA_VERSION DATA_VERSION} the indices were saved under, or a snapshot of the data taken when they were saved (see {@link module:FRjs/data.snapshotDataset snapshotDataset}). A snapshot is only needed if the indices include traits added with {@link module:FRjs/data.extend extend}. When migrating many dragons saved under the same version, pass the result of {@link module:FRjs/data.diffDatasets diffDatasets} instead to avoid rebuilding and recomparing the data for every dragon.
+	 * @param {{breed: number, eye: number, element: number, gender: number, age: number, colour: {primary: number, secondary: number, tertiary: number}, gene: {primary: number, secondary: number, tertiary: number}}} indices The saved indices, in the same format accepted by the constructor.
+	 * @param {number|FR.DatasetSnapshot|FR.DatasetDiff} from The data version the indices were saved under, a snapshot of the data they were saved under, or a diff from either to the current data.
+	 * @returns {{breed: number, eye: number, element: number, gender: number, age: number, colour: {primary: number, secondary: number, tertiary: number}, gene: {primary: number, secondary: number, tertiary: number}}|undefined} The migrated indices, or `undefined` if `from` is an invalid version.
+	 * @see {@link module:FRjs/data~DatasetSnapshot DatasetSnapshot}
+	 * @see {@link module:FRjs/data~DatasetDiff DatasetDiff} */
+	static migrateIndices(indices, from) {
+		const diff = from?.breeds?.indexMap ? from : FR.diffDatasets(from);
+		if (!diff) {
+			return;
+		}
+		return {
+			breed: diff.breeds.indexMap[indices.breed],
+			eye: diff.eyes.indexMap[indices.eye],
+			element: indices.element,
+			gender: indices.gender,
+			age: indices.age,
+			colour: {
+				primary: diff.colours.indexMap[indices.colour?.primary],
+				secondary: diff.colours.indexMap[indices.colour?.secondary],
+				tertiary: diff.colours.indexMap[indices.colour?.tertiary]
+			},
+			gene: {
+				primary: diff.genes.primary.indexMap[indices.gene?.primary],
+				secondary: diff.genes.secondary.indexMap[indices.gene?.secondary],
+				tertiary: diff.genes.tertiary.indexMap[indices.gene?.tertiary]
+			}
+		};
+	}
+
+	/** Returns a {@link module:FRjs/convert.DragonTraits DragonTraits} object containing all traits defined in the contents of the given dragon profile. Note: gender is not present in text on dragon profiles, and will be the default of Male. To get the gender, use {@link module:FRjs/convert.DragonTraits.fromProfileHTML DragonTraits.fromProfileHTML} instead.
+	 *
+	 * Any traits with names that aren't recognised are set to their defaults, as in the constructor. To find out which traits weren't recognised, use {@link module:FRjs/convert.DragonTraits.parseProfile DragonTraits.parseProfile} instead.
+	 * @param {string} profile The text contents of a dragon's profile page. NOT the page HTML; what you get by selecting all text on the page in the browser window and copying it.
+	 * @returns {DragonTraits}
+	 * @throws {ProfileFormatError} If the text is missing any of the parts of a profile that contain traits. */
+	static fromProfile(profile) {
+		const result = DragonTraits.parseProfile(profile);
+		if (!result.traits) {
+			throw result.errors[0];
+		}
+		return result.traits;
+	}
+
+	/** Parses the contents of the given dragon profile, and returns the traits found along with details of anything that went wrong. Unlike {@link module:FRjs/convert.DragonTraits.fromProfile DragonTraits.fromProfile}, this never throws; problems are returned in the result's `errors` instead, with the line of the profile text they were found on.
+	 *
+	 * If the text is missing any of the parts of a profile that contain traits, the result contains a {@link module:FRjs/convert.ProfileFormatError ProfileFormatError} and has no `traits`. Any trait names that aren't recognised each add a {@link module:FRjs/convert.UnknownTraitError UnknownTraitError}, and are left `undefined` in `indices` (and so set to their defaults in `traits`).
+	 * @param {string} profile The text contents of a dragon's profile page, as in `fromProfile`.
+	 * @returns {ProfileParseResult}
+	 * @see {@link module:FRjs/convert~ProfileParseResult ProfileParseResult} */
+	static parseProfile(profile) {
+		return finishParse(parseLines(`${profile}`.replace(/\r/g, "").split("\n").map(x => x.trim())));
+	}
+
+	/** Returns a {@link module:FRjs/convert.DragonTraits DragonTraits} object containing all traits on the given dragon profile page. Unlike {@link module:FRjs/convert.DragonTraits.fromProfile DragonTraits.fromProfile}, this includes the dragon's gender. To also get the dragon's name, ID, level, and hatch date, or details of anything that went wrong, use {@link module:FRjs/convert.DragonTraits.parseProfileHTML DragonTraits.parseProfileHTML} instead.
+	 * @param {string|Document|Element} html The HTML of a dragon's profile page, or the page itself if it's already been parsed (for example, `document` in a browser extension).
+	 * @param {Object} [options]
+	 * @param {{parseFromString: function(string, string): Document}} [options.parser] The HTML parser to use, as in `parseProfileHTML`.
+	 * @param {string} [options.genderSelector] A CSS selector for the dragon's gender icon, as in `parseProfileHTML`.
+	 * @returns {DragonTraits}
+	 * @throws {ProfileFormatError} If the page is missing any of the parts of a profile that contain traits.
+	 * @throws {TypeError} If `html` is a string and no HTML parser is available. */
+	static fromProfileHTML(html, options) {
+		const result = DragonTraits.parseProfileHTML(html, options);
+		if (!result.traits) {
+			throw result.errors[0];
+		}
+		return result.traits;
+	}
+
+	/** Parses the given dragon profile page, and returns the traits and details found along with anything that went wrong, as {@link module:FRjs/convert.DragonTraits.parseProfile DragonTraits.parseProfile} does for the page's text. The page's visible text is read in the same way, so line numbers in `raw` and `errors` count lines of text on the page (ignoring blank lines), not lines of HTML. In addition, the dragon's gender is read from its gender icon, and its name and ID from the page's metadata where possible.
+	 *
+	 * In browsers, HTML strings are parsed with `DOMParser`. Elsewhere, pass any object with a compatible `parseFromString` method as `options.parser`; for example, a `DOMParser` from jsdom or linkedom in Node:
+	 * ```js
+	 * import { JSDOM } from "jsdom";
+	 * const { DOMParser } = new JSDOM().window;
+	 * const result = DragonTraits.parseProfileHTML(html, { parser: new DOMParser() });
+	 * ```
+	 * @param {string|Document|Element} html The HTML of a dragon's profile page, or the page itself if it's already been parsed.
+	 * @param {Object} [options]
+	 * @param {{parseFromString: function(string, string): Document}} [options.parser] The HTML parser to use. Defaults to a new `DOMParser`, if one exists.
+	 * @param {string} [options.genderSelector] A CSS selector for the dragon's gender icon, or an element containing it. By default, the gender is read from the icon nearest to the dragon's traits, ignoring the icons of its parents and offspring.
+	 * @returns {ProfileParseResult}
+	 * @throws {TypeError} If `html` is a string and no HTML parser is available.
+	 * @see {@link module:FRjs/convert~ProfileParseResult ProfileParseResult} */
+	static parseProfileHTML(html, {parser, genderSelector} = {}) {
+		return finishParse(parseHTML(toDocument(html, parser), {genderSelector}));
+	}
+
+	/** Checks an object of indices in FRjs/data arrays, in the format accepted by the constructor, and returns every trait that the constructor would replace with a default value. Traits that are left undefined aren't checked, except that genes are always checked for whether they're available on the dragon's breed; if the breed is left undefined or is invalid, that's the default breed the constructor uses (index 0).
+	 * @param {{breed: number, eye: number, element: number, gender: number, age: number, colour: {primary: number, secondary: number, tertiary: number}, gene: {primary: number, secondary: number, tertiary: number}}} indices
+	 * @returns {TraitProblem[]} An empty array if all traits are valid.
+	 * @see {@link module:FRjs/convert~TraitProblem TraitProblem} */
+	static validate(indices) {
+		const problems = [];
+		const check = (field, value) => {
+			if (value !== undefined && !(value in fieldArray(field))) {
+				problems.push({ field, value, reason: `${field} (${value}) is not a valid index` });
+				return false;
+			}
+			return value !== undefined;
+		};
+
+		const breed = check("breed", indices.breed) ? +indices.breed : 0,
+			breedName = FR.BREEDS[breed].name + (breed === +indices.breed ? "" : " (the default breed)");
+		for (const trait of ["eye", "element", "gender", "age"]) {
+			check(trait, indices[trait]);
+		}
+		for (const slot in FR.GENES) {
+			check(`colour.${slot}`, indices.colour?.[slot]);
+		}
+		for (const slot in FR.GENES) {
+			const value = indices.gene?.[slot];
+			if (check(`gene.${slot}`, value) && FR.GENES[slot][value].sidForBreed(breed) === undefined) {
+				problems.push({
+					field: `gene.${slot}`, value,
+					reason: `${slot} gene ${FR.GENES[slot][value].name} is not available on ${breedName}`
+				});
+			}
+		}
+		return problems;
+	}
+
 	/** Constructs a formal DragonTraits object from a generic object containing indices in FRjs/data arrays for any/all of a single dragon's traits. Calling the constructor directly is useful for converting traits into scrying workshop links, and for quickly getting the actual data objects for all traits.
 	 *
-	 * Any traits that are left undefined, or which are invalid, will be set to a default value; index 0 for most traits, and for genes the index of Basic.
+	 * Any traits that are left undefined, or which are invalid, will be set to a default value; index 0 for most traits, and for genes the index of Basic. Genes that aren't available on the dragon's breed count as invalid. To catch invalid traits instead, pass `{strict: true}` as the second argument, or check them first with {@link module:FRjs/convert.DragonTraits.validate DragonTraits.validate}.
 	 * @param {{breed: number, eye: number, element: number, gender: number, age: number, colour: {primary: number, secondary: number, tertiary: number}, gene: {primary: number, secondary: number, tertiary: number}}} indices An object defining any/all of a single dragon's traits. It may contain any of the following keys, with values being indices in the appropriate array from {@link module:FRjs/data FRjs/data}:
 	 * ```js
 	 * {
@@ -103,8 +675,18 @@ export class DragonTraits {
 	 * 		secondary: number,
 	 * 		tertiary: number
 	 * 	}
-	 * } */
-	constructor(indices) {
+	 * }
+	 * ```
+	 * @param {Object} [options]
+	 * @param {boolean} [options.strict=false] If `true`, throws instead of using defaults for invalid traits. Traits that are left undefined still use defaults.
+	 * @throws {InvalidTraitsError} In strict mode, if any traits are invalid. */
+	constructor(indices, {strict = false} = {}) {
+		if (strict) {
+			const problems = DragonTraits.validate(indices);
+			if (problems.length > 0) {
+				throw new InvalidTraitsError(problems);
+			}
+		}
 		if (indices.breed in FR.BREEDS) {
 			this.#breed = indices.breed;
 		}
@@ -216,24 +798,281 @@ export class DragonTraits {
 		};
 	}
 
-	/** A link to the scrying workshop for a dragon with all defined traits.
-	 * @type {string} */
-	get scrylink() {
+	/** An object containing all traits as **on-site IDs**. Unlike indices, site IDs never change when traits are added to FRjs/data, so this is the recommended format for saving dragons. Gene IDs are specific to the dragon's breed. Load saved IDs with {@link module:FRjs/convert.DragonTraits.fromSids DragonTraits.fromSids}.
+	 *
+	 * This is also what `DragonTraits` objects are converted into by `JSON.stringify`.
+	 *
+	 * The structure of the object is the same as {@link module:FRjs/convert.DragonTraits#indices indices}.
+	 * @type {{breed: number, eye: number, element: number, gender: number, age: number, colour: {primary: number, secondary: number, tertiary: number}, gene: {primary: number, secondary: number, tertiary: number}}} */
+	get sids() {
 		const bi = this.indices.breed;
 		const {breed, eye, element, gender, age, colour, gene} = this.values;
-		const params = new URLSearchParams({
+		return {
 			breed: breed.sid,
+			eye: eye.sid,
+			element: element.sid,
 			gender: gender.sid,
 			age: age.sid,
-			bodygene: gene.primary.sidForBreed(bi),
-			body: colour.primary.sid,
-			winggene: gene.secondary.sidForBreed(bi),
-			wings: colour.secondary.sid,
-			tertgene: gene.tertiary.sidForBreed(bi),
-			tert: colour.tertiary.sid,
-			element: element.sid,
-			eyetype: eye.sid
+			colour: {
+				primary: colour.primary.sid,
+				secondary: colour.secondary.sid,
+				tertiary: colour.tertiary.sid
+			},
+			gene: {
+				primary: gene.primary.sidForBreed(bi),
+				secondary: gene.secondary.sidForBreed(bi),
+				tertiary: gene.tertiary.sidForBreed(bi)
+			}
+		};
+	}
+
+	/** Returns the dragon's traits as on-site IDs for `JSON.stringify`. See {@link module:FRjs/convert.DragonTraits#sids sids}.
+	 * @returns {Object} */
+	toJSON() {
+		return this.sids;
+	}
+
+	/** A link to the scrying workshop for a dragon with all defined traits.
+	 * @type {string} */
+	get scrylink() {
+		const {breed, eye, element, gender, age, colour, gene} = this.sids;
+		const params = new URLSearchParams({
+			breed, gender, age,
+			bodygene: gene.primary,
+			body: colour.primary,
+			winggene: gene.secondary,
+			wings: colour.secondary,
+			tertgene: gene.tertiary,
+			tert: colour.tertiary,
+			element,
+			eyetype: eye
 		});
 		return `https://www1.flightrising.com/scrying/predict?${params}`;
 	}
 }
+
+/** A class representing a single, specific dragon on Flight Rising: its {@link module:FRjs/convert.DragonTraits DragonTraits}, along with the details that identify it, such as its ID, name, and parents. Like `DragonTraits`, records are immutable.
+ *
+ * Records are created by the profile parsers (see {@link module:FRjs/convert.DragonRecord.fromProfileHTML DragonRecord.fromProfileHTML}) with whatever details the profile contains, or can be constructed directly. Any details that aren't known are `undefined`, except for parents and offspring, which are empty arrays.
+ *
+ * | Tutorials | {@tutorial 07-fr-convert} |
+ * |---|-| */
+export class DragonRecord {
+	/** Returns a {@link module:FRjs/convert.DragonRecord DragonRecord} for the dragon in the contents of the given dragon profile. See {@link module:FRjs/convert.DragonTraits.fromProfile DragonTraits.fromProfile}.
+	 * @param {string} profile The text contents of a dragon's profile page.
+	 * @returns {DragonRecord}
+	 * @throws {ProfileFormatError} If the text is missing any of the parts of a profile that contain traits. */
+	static fromProfile(profile) {
+		const result = DragonTraits.parseProfile(profile);
+		if (!result.record) {
+			throw result.errors[0];
+		}
+		return result.record;
+	}
+
+	/** Returns a {@link module:FRjs/convert.DragonRecord DragonRecord} for the dragon on the given dragon profile page. See {@link module:FRjs/convert.DragonTraits.parseProfileHTML DragonTraits.parseProfileHTML}.
+	 * @param {string|Document|Element} html The HTML of a dragon's profile page, or the page itself if it's already been parsed.
+	 * @param {Object} [options]
+	 * @param {{parseFromString: function(string, string): Document}} [options.parser] The HTML parser to use, as in `parseProfileHTML`.
+	 * @param {string} [options.genderSelector] A CSS selector for the dragon's gender icon, as in `parseProfileHTML`.
+	 * @returns {DragonRecord}
+	 * @throws {ProfileFormatError} If the page is missing any of the parts of a profile that contain traits.
+	 * @throws {TypeError} If `html` is a string and no HTML parser is available. */
+	static fromProfileHTML(html, options) {
+		const result = DragonTraits.parseProfileHTML(html, options);
+		if (!result.record) {
+			throw result.errors[0];
+		}
+		return result.record;
+	}
+
+	/** Parses the text contents of a lair or den page, and returns records for every dragon listed on it. Every dragon's entry starts at its ID (as "#12345", or a link to its profile); its name is any text before the ID on the same line, or else the line before. Each entry's lines are then searched for the dragon's level (such as "Level 25"), and for its breed, gender, and age, either on its level line or on lines of their own.
+	 *
+	 * Listings don't show most of a dragon's traits, so each record's traits only match the dragon for the traits that were found; the rest are the defaults, as in the `DragonTraits` constructor. Each entry's `indices` show which traits were found. Gender is usually only shown as an icon, which isn't in the page's text; use {@link module:FRjs/convert.DragonRecord.parseLairHTML DragonRecord.parseLairHTML} to get genders. For dragons' full traits, see {@link module:FRjs/convert.DragonRecord.parseProfiles DragonRecord.parseProfiles}.
+	 *
+	 * Problems with one dragon don't affect the others; each dragon's problems, such as a breed that isn't recognised, are in its entry in `entries`. Line numbers in errors count from the start of the whole text.
+	 * @param {string} text The text contents of the page.
+	 * @returns {BatchParseResult}
+	 * @see {@link module:FRjs/convert~BatchParseResult BatchParseResult} */
+	static parseLair(text) {
+		const lines = `${text}`.replace(/\r/g, "").split("\n").map(x => x.trim());
+		const idLines = lines.flatMap((x, i) => LISTING_ID.test(x) ? [i] : []);
+
+		// Entries start at the dragon's name, if it's on the line before its ID
+		const starts = idLines.map((i, k) => {
+			const before = lines[i].slice(0, lines[i].search(LISTING_ID)).trim();
+			if (before) {
+				return { line: i, name: before };
+			}
+			let prev = i - 1;
+			while (prev >= 0 && lines[prev] === "") {
+				prev--;
+			}
+			if (prev >= 0 && prev > (idLines[k-1] ?? -1) && !LISTING_LEVEL.test(lines[prev])) {
+				return { line: prev, name: lines[prev] };
+			}
+			return { line: i };
+		});
+
+		const entries = starts.map(({line, name}, k) => {
+			const end = starts[k+1]?.line ?? lines.length;
+			return finishParse(parseListing(lines.slice(line, end), line, name));
+		});
+		return { records: entries.flatMap(x => x.record ?? []), entries };
+	}
+
+	/** Parses a lair or den page, and returns records for every dragon listed on it. Each dragon's entry is found from the links to its profile: it's the largest part of the page that links to that dragon and no other. The dragon's ID comes from the link, and its name from the link's text (or the alt text of an image in its entry). Its level, breed, and age are read from the entry's text as in {@link module:FRjs/convert.DragonRecord.parseLair DragonRecord.parseLair}, and its gender from the entry's text or a gender icon.
+	 *
+	 * As with `parseLair`, each record's traits only match the dragon for the traits that were found, and the rest are the defaults; each entry's `indices` show which traits were found. Problems with one dragon don't affect the others, and are in its entry in `entries`. Line numbers in errors count lines of text within each dragon's entry. If the page's other links to dragons are picked up as extra entries, or entries are split up wrongly, pass a CSS selector for each dragon's entry as `options.cardSelector`; entries with no link to a dragon are then errors, and have no record.
+	 * @param {string|Document|Element} html The HTML of the page, or the page itself if it's already been parsed.
+	 * @param {Object} [options]
+	 * @param {{parseFromString: function(string, string): Document}} [options.parser] The HTML parser to use, as in `DragonTraits.parseProfileHTML`.
+	 * @param {string} [options.cardSelector] A CSS selector matching each dragon's entry on the page.
+	 * @returns {BatchParseResult}
+	 * @throws {TypeError} If `html` is a string and no HTML parser is available.
+	 * @see {@link module:FRjs/convert~BatchParseResult BatchParseResult} */
+	static parseLairHTML(html, {parser, cardSelector} = {}) {
+		const entries = listingCards(toDocument(html, parser), cardSelector).map(card => {
+			const links = [card, ...card.querySelectorAll("a[href*='/dragon/']")].filter(dragonLinkId),
+				id = links[0] && dragonLinkId(links[0]),
+				name = links.filter(x => dragonLinkId(x) === id).map(x => x.textContent.trim()).find(x => x && !/^#?\d+$/.test(x))
+					|| card.querySelector("img[alt]")?.getAttribute("alt").trim() || undefined;
+
+			const result = parseListing(textLines(card), 0, name);
+			result.details.id = id ?? result.details.id;
+			if (result.indices.gender === undefined) {
+				const gender = [card, ...card.querySelectorAll(GENDER_ICON_TAGS)].map(genderIcon).find(x => x);
+				result.indices.gender = gender && FR.indexByName(FR.GENDERS, gender);
+			}
+			if (result.details.id === undefined) {
+				result.errors.push(new ProfileFormatError("Dragon ID", 1));
+			}
+			return finishParse(result);
+		});
+		return { records: entries.flatMap(x => x.record ?? []), entries };
+	}
+
+	/** Parses the text contents of several dragon profiles pasted one after another, and returns records for every dragon in them. Each dragon's traits are read in the same way as in {@link module:FRjs/convert.DragonTraits.parseProfile DragonTraits.parseProfile}. Every dragon starts at its "Primary Gene" line, and includes any lines since the end of the previous dragon's traits.
+	 *
+	 * Unlike {@link module:FRjs/convert.DragonRecord.parseLair DragonRecord.parseLair}, this reads dragons' full traits, but only from full dragon profiles.
+	 *
+	 * Problems with one dragon don't affect the others; dragons that can't be parsed are left out of `records`, and their problems are in their entry in `entries`. Line numbers in errors count from the start of the whole text. Like `fromProfile`, gender can't be read from text and will be the default of Male; use {@link module:FRjs/convert.DragonRecord.parseProfilesHTML DragonRecord.parseProfilesHTML} to get genders.
+	 * @param {string} text The text contents of the profiles.
+	 * @returns {BatchParseResult}
+	 * @see {@link module:FRjs/convert~BatchParseResult BatchParseResult} */
+	static parseProfiles(text) {
+		const lines = `${text}`.replace(/\r/g, "").split("\n").map(x => x.trim());
+		const starts = lines.flatMap((x, i) => x === "Primary Gene" ? [i] : []);
+
+		const entries = [];
+		let from = 0;
+		starts.forEach((start, k) => {
+			const chunkStart = from;
+			// The dragon's traits end at its eye type; the lines after that belong to the next dragon
+			let end = lines.length;
+			if (k + 1 < starts.length) {
+				const next = starts[k+1],
+					eye = parseLines(lines.slice(start, next), start).raw.eye;
+				end = eye?.line ?? next;
+				// If this dragon's traits are incomplete, the next dragon's details may start anywhere after its heading
+				from = eye ? end : start + 1;
+			}
+			entries.push(finishParse(parseLines(lines.slice(chunkStart, end), chunkStart)));
+		});
+		return { records: entries.flatMap(x => x.record ?? []), entries };
+	}
+
+	/** Parses HTML containing several dragon profiles, such as profile pages joined together or a page that embeds them, and returns records for every dragon in it. Each dragon is the largest part of the page that contains exactly one "Primary Gene" heading, and is read in the same way as in {@link module:FRjs/convert.DragonTraits.parseProfileHTML DragonTraits.parseProfileHTML}. Each dragon's ID and name are taken from the first link to a dragon in its part of the page, if they aren't otherwise found.
+	 *
+	 * Unlike {@link module:FRjs/convert.DragonRecord.parseLairHTML DragonRecord.parseLairHTML}, this reads dragons' full traits, but only from full dragon profiles.
+	 *
+	 * Problems with one dragon don't affect the others; dragons that can't be parsed are left out of `records`, and their problems are in their entry in `entries`. Line numbers in errors count lines of text within each dragon's part of the page.
+	 * @param {string|Document|Element} html The HTML of the profiles, or a page containing them if it's already been parsed.
+	 * @param {Object} [options]
+	 * @param {{parseFromString: function(string, string): Document}} [options.parser] The HTML parser to use, as in `parseProfileHTML`.
+	 * @param {string} [options.genderSelector] A CSS selector for the dragon's gender icon, as in `parseProfileHTML`. It's searched for within each dragon's part of the page.
+	 * @returns {BatchParseResult}
+	 * @throws {TypeError} If `html` is a string and no HTML parser is available.
+	 * @see {@link module:FRjs/convert~BatchParseResult BatchParseResult} */
+	static parseProfilesHTML(html, {parser, genderSelector} = {}) {
+		const doc = toDocument(html, parser);
+		const headings = [...doc.querySelectorAll("*")].filter(el =>
+			[...el.childNodes].some(x => x.nodeType === 3 && x.nodeValue.trim() === "Primary Gene"));
+
+		const entries = headings.map((heading, k) => {
+			// Headings are in page order, so an element containing any other heading contains a neighbouring one
+			let box = heading;
+			while (box.parentElement && ![headings[k-1], headings[k+1]].some(x => x && box.parentElement.contains(x))) {
+				box = box.parentElement;
+			}
+			const result = parseHTML(box, {genderSelector});
+			const link = box.querySelector("a[href*='/dragon/']");
+			result.details.id ??= parseInt(/\/dragon\/(\d+)/.exec(link?.getAttribute("href"))?.[1]) || undefined;
+			result.details.name ??= link?.textContent.trim() || undefined;
+			return finishParse(result);
+		});
+		return { records: entries.flatMap(x => x.record ?? []), entries };
+	}
+
+	/** Returns a {@link module:FRjs/convert.DragonRecord DragonRecord} from an object previously returned by {@link module:FRjs/convert.DragonRecord#toJSON DragonRecord.toJSON}; ie. for loading records saved with `JSON.stringify`.
+	 * @param {Object} json
+	 * @returns {DragonRecord} */
+	static fromJSON(json) {
+		return new DragonRecord({
+			...json,
+			traits: DragonTraits.fromSids(json.traits ?? {}),
+			hatchDate: json.hatchDate === undefined ? undefined : new Date(json.hatchDate)
+		});
+	}
+
+	/** Constructs a DragonRecord from the dragon's traits and any known details.
+	 * @param {Object} details
+	 * @param {DragonTraits|Object} [details.traits] The dragon's traits, as a `DragonTraits` object or an object of indices accepted by its constructor.
+	 * @param {number} [details.id] The dragon's ID on Flight Rising.
+	 * @param {string} [details.name]
+	 * @param {string} [details.owner] The name of the dragon's owner.
+	 * @param {number} [details.level]
+	 * @param {Date} [details.hatchDate]
+	 * @param {number[]} [details.parents] The IDs of the dragon's parents.
+	 * @param {number[]} [details.offspring] The IDs of the dragon's offspring. */
+	constructor({traits = {}, id, name, owner, level, hatchDate, parents = [], offspring = []} = {}) {
+		/** The dragon's traits.
+		 * @type {DragonTraits} */
+		this.traits = traits instanceof DragonTraits ? traits : new DragonTraits(traits);
+		/** The dragon's ID on Flight Rising.
+		 * @type {number|undefined} */
+		this.id = id;
+		/** @type {string|undefined} */
+		this.name = name;
+		/** The name of the dragon's owner.
+		 * @type {string|undefined} */
+		this.owner = owner;
+		/** @type {number|undefined} */
+		this.level = level;
+		/** @type {Date|undefined} */
+		this.hatchDate = hatchDate && new Date(hatchDate);
+		/** The IDs of the dragon's parents. Empty if the dragon has no parents, or they aren't known.
+		 * @type {number[]} */
+		this.parents = Object.freeze([...parents]);
+		/** The IDs of the dragon's offspring.
+		 * @type {number[]} */
+		this.offspring = Object.freeze([...offspring]);
+		Object.freeze(this);
+	}
+
+	/** A link to the dragon's profile page, if its ID is known.
+	 * @type {string|undefined} */
+	get profileURL() {
+		if (this.id === undefined) {
+			return;
+		}
+		return `https://www1.flightrising.com/dragon/${this.id}`;
+	}
+
+	/** Returns the record for `JSON.stringify`, with traits saved as on-site IDs. See {@link module:FRjs/convert.DragonTraits#sids DragonTraits.sids}. Load saved records with {@link module:FRjs/convert.DragonRecord.fromJSON DragonRecord.fromJSON}.
+	 * @returns {Object} */
+	toJSON() {
+		const {id, name, owner, level, hatchDate, parents, offspring} = this;
+		return { traits: this.traits.sids, id, name, owner, level, hatchDate: hatchDate?.toISOString(), parents, offspring };
+	}
+}
@@ -38,11 +38,27 @@ function deepFreeze(obj) {
  *
  * **Returns:**
  * **Type:** number \| undefined
+ * @property {GeneSource|undefined} source How the gene is obtained, if known. Sources and release dates (`released`) aren't recorded for the built-in genes yet, but can be filled in with {@link module:FRjs/data.extend extend}.
+ * @property {boolean|undefined} breedable Whether or not the gene can be passed down to hatchlings through breeding, if known. Always `true` for built-in genes, since every gene on Flight Rising can be.
+ * @property {Object} released Map of the dates (as ISO 8601 strings) this gene was released on, if known. Keys are the same as in `sids`.
+ * @property {function(number): Date|undefined} releaseDateForBreed Given the index of a breed in `BREEDS`, returns the date this gene was released for that breed, if it's known.
+ *
+ * **Parameters:**
+ * | Name | Type | Description |
+ * |---|-|-|
+ * | `breed` | number | Index of a breed in `BREEDS` |
+ *
+ * **Returns:**
+ * **Type:** Date \| undefined
  * @see {@link module:FRjs/data.Rarity Rarity}
  * @see {@link module:FRjs/data.BreedType BreedType}
+ * @see {@link module:FRjs/data.GeneSource GeneSource}
  * @see {@link module:FRjs/data.BREEDS BREEDS} */
 function gene(name, rarity, ...sidPairs) {
 	let sids = {};
+	// Optional metadata object at the end of the sid pairs
+	const meta = (typeof sidPairs[sidPairs.length - 1] === "object") ? sidPairs.pop() : BUILTIN_GENE_META,
+		released = {...meta.released};
 	if (name === "Basic") {
 		rarity = PLENTIFUL;
 		sids[MODERN] = 0;
@@ -59,9 +75,16 @@ function gene(name, rarity, ...sidPairs) {
 	}
 	return deepFreeze({
 		name, rarity, sids,
+		source: meta.source,
+		breedable: meta.breedable,
+		released,
 		get isModern() { return keys(sids).includes(MODERN); },
 		get ancients() { return keys(sids).filter(k => k !== MODERN).map(k => parseInt(k)); },
-		sidForBreed: breed => BREEDS[breed]?.type === MODERN ? sids[MODERN] : sids[breed]
+		sidForBreed: breed => BREEDS[breed]?.type === MODERN ? sids[MODERN] : sids[breed],
+		releaseDateForBreed: breed => {
+			const date = BREEDS[breed]?.type === MODERN ? released[MODERN] : released[breed];
+			return date === undefined ? undefined : new Date(date);
+		}
 	});
 }
 
@@ -70,10 +93,12 @@ function gene(name, rarity, ...sidPairs) {
  * @property {number} sid The breed's on-site ID.
  * @property {BreedType} type
  * @property {Rarity} rarity
+ * @property {number} cooldown The number of days a dragon of this breed must wait after nesting before it can nest again.
+ * @property {number} incubation The number of days eggs of this breed take to hatch.
  * @see {@link module:FRjs/data.BreedType BreedType}
  * @see {@link module:FRjs/data.Rarity Rarity} */
-function breed(name, sid, type, rarity) {
-	return freeze({ name, sid, type, rarity });
+function breed(name, sid, type, rarity, cooldown, incubation) {
+	return freeze({ name, sid, type, rarity, cooldown, incubation });
 }
 
 /** @typedef {Object} EyeType
@@ -87,9 +112,31 @@ function eye(name, sid, probability) {
 /** @typedef {Object} Colour
  * @property {string} name
  * @property {number} sid The colour's on-site ID.
- * @property {string} hex The colour's main hex code. NOT prefixed. */
-function colour(name, sid, hex) {
-	return freeze({ name, sid, hex });
+ * @property {string} hex The colour's main hex code. NOT prefixed.
+ * @property {ColourFamily} family The colour family the colour belongs to.
+ * @property {{r: number, g: number, b: number}} rgb The colour's main hex code in RGB. Values range from 0 to 255.
+ * @property {{h: number, s: number, l: number}} hsl The colour's main hex code in HSL. Hue ranges from 0 to 360 degrees, and saturation and lightness from 0 to 100 percent.
+ * @property {{l: number, a: number, b: number}} lab The colour's main hex code in CIELAB, using the D65 white point.
+ * @property {number} luminance The colour's relative luminance as defined by WCAG, from 0 (black) to 1 (white).
+ * @property {string} foreground Whichever of "000" or "fff" is easier to read when placed on this colour. NOT prefixed. */
+function colour(name, sid, hex, family) {
+	return freeze({
+		name, sid, hex, family,
+		get rgb() {
+			const [r, g, b] = parseRgb(hex);
+			return { r, g, b };
+		},
+		get hsl() {
+			const [h, s, l] = rgbToHsl(parseRgb(hex));
+			return { h, s, l };
+		},
+		get lab() {
+			const [l, a, b] = labOf(this);
+			return { l, a, b };
+		},
+		get luminance() { return relativeLuminance(parseRgb(hex)); },
+		get foreground() { return readableTextColour(hex); }
+	});
 }
 
 /** @typedef {Object} BasicTrait
@@ -99,6 +146,29 @@ function basicTrait(name, sid) {
 	return { name, sid };
 }
 
+/** @typedef {Object} DatasetSnapshot
+ * @property {number} version The {@link module:FRjs/data.DATA_VERSION DATA_VERSION} the snapshot was taken at.
+ * @property {Array.<{name: string, sid: number}>} breeds
+ * @property {Array.<{name: string, sid: number}>} eyes
+ * @property {Array.<{name: string, sid: number}>} colours
+ * @property {{primary: Array.<{name: string}>, secondary: Array.<{name: string}>, tertiary: Array.<{name: string}>}} genes */
+
+/** @typedef {Object} ArrayDiff
+ * @property {string[]} added Names of traits that are only in the newer snapshot.
+ * @property {string[]} removed Names of traits that are only in the older snapshot.
+ * @property {Array.<number|undefined>} indexMap For each index in the older snapshot's array, the index of the same trait in the newer snapshot's array; or `undefined` if it was removed.
+ * @property {boolean} shifted Whether any trait in the older snapshot is at a different index in the newer one, or was removed; ie. whether indices saved under the older snapshot need to be migrated. */
+
+/** @typedef {Object} DatasetDiff
+ * @property {number} from The version of the older snapshot.
+ * @property {number} to The version of the newer snapshot.
+ * @property {boolean} shifted Whether indices in any array have shifted.
+ * @property {ArrayDiff} breeds
+ * @property {ArrayDiff} eyes
+ * @property {ArrayDiff} colours
+ * @property {{primary: ArrayDiff, secondary: ArrayDiff, tertiary: ArrayDiff}} genes
+ * @see {@link module:FRjs/data~ArrayDiff ArrayDiff} */
+
 /** @typedef {Object} Nest
  * @property {string} name
  * @property {number} probability The nest's probability of occurring when breeding dragons. */
@@ -123,6 +193,22 @@ const PLENTIFUL = "P",
 	LIMITED = "L",
 	RARE = "R";
 
+// Internal colour family "enum" whose usage minifies smaller than the exported one
+const RED = "red",
+	ORANGE = "orange",
+	YELLOW = "yellow",
+	GREEN = "green",
+	BLUE = "blue",
+	PURPLE = "purple",
+	PINK = "pink",
+	BROWN = "brown",
+	GREY = "grey",
+	NEUTRAL = "neutral";
+
+/** Metadata known for every built-in gene. Sources and release dates aren't recorded yet.
+ * @private */
+const BUILTIN_GENE_META = freeze({ breedable: true });
+
 /** Lookup table for rarity comparisons.
  * [Data Source]{@link https://www1.flightrising.com/forums/gde/2866445#post_43461539}
  * @private */
@@ -174,6 +260,324 @@ const NEST_SIZES = deepFreeze({
 	]
 });
 
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE FUNCTIONS
+///////////////////////////////////////////////////////////////////////////////
+
+/** Wraps a single value in an array. Arrays and `undefined` are returned as-is.
+ * @private
+ * @param {*} x
+ * @returns {Array|undefined} */
+function asArray(x) {
+	return (x === undefined || x instanceof Array) ? x : [x];
+}
+
+/** Checks whether a number is within an inclusive `[min, max]` range. Either end of the range may be `undefined` to leave it open. If `wrap` is given and `min` is greater than `max`, the range is treated as wrapping around from `min` to `max` through `wrap` (ie. for hues, `[330, 20]` with a `wrap` of 360).
+ * @private
+ * @param {number} value
+ * @param {number[]} range
+ * @param {number} [wrap]
+ * @returns {boolean} */
+function inRange(value, [min = -Infinity, max = Infinity], wrap) {
+	if (wrap !== undefined && min > max) {
+		return value >= min || value <= max;
+	}
+	return value >= min && value <= max;
+}
+
+/** Normalizes a trait name for loose comparisons, by lowercasing it and removing anything that isn't a letter or number.
+ * @private
+ * @param {string} name
+ * @returns {string} */
+function normalizeName(name) {
+	return `${name}`.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** Returns the optimal string alignment distance between two strings; ie. the number of insertions, deletions, substitutions, and transpositions of adjacent characters needed to turn one into the other.
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} */
+function editDistance(a, b) {
+	const d = [];
+	for (let i = 0; i <= a.length; i++) {
+		d[i] = [i];
+	}
+	for (let j = 0; j <= b.length; j++) {
+		d[0][j] = j;
+	}
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+			}
+		}
+	}
+	return d[a.length][b.length];
+}
+
+/** Parses a colour given as a hex code (with or without a leading `#`, in 3 or 6 digit form), an array of `[r, g, b]`, or an object with `r`, `g`, and `b` properties, into an `[r, g, b]` array with values from 0 to 255. If the colour can't be parsed, returns `undefined`.
+ * @private
+ * @param {string|number[]|{r: number, g: number, b: number}} colour
+ * @returns {number[]|undefined} */
+function parseRgb(colour) {
+	if (typeof colour === "string") {
+		let hex = colour.trim().replace(/^#/, "");
+		if (/^[0-9a-f]{3}$/i.test(hex)) {
+			hex = hex.replace(/./g, "$&$&");
+		}
+		if (!/^[0-9a-f]{6}$/i.test(hex)) {
+			return;
+		}
+		const n = +(`0x${hex}`);
+		return [n >> 16, n >> 8 & 255, n & 255];
+	}
+	const rgb = colour instanceof Array ? colour : [colour?.r, colour?.g, colour?.b];
+	if (rgb.length === 3 && rgb.every(x => x >= 0 && x <= 255)) {
+		return rgb.map(Number);
+	}
+}
+
+/** Converts an sRGB colour value from 0 to 255 into linear light, from 0 to 1.
+ * @private
+ * @param {number} x
+ * @returns {number} */
+function linearize(x) {
+	x /= 255;
+	return x <= 0.04045 ? x / 12.92 : ((x + 0.055) / 1.055) ** 2.4;
+}
+
+/** Converts an sRGB colour to HSL.
+ * @private
+ * @param {number[]} rgb `[r, g, b]`, with values from 0 to 255.
+ * @returns {number[]} `[h, s, l]`, with hue in degrees and saturation and lightness in percent. */
+function rgbToHsl(rgb) {
+	const [r, g, b] = rgb.map(x => x / 255),
+		max = Math.max(r, g, b),
+		min = Math.min(r, g, b),
+		l = (max + min) / 2,
+		d = max - min;
+
+	let h = 0, s = 0;
+	if (d !== 0) {
+		s = d / (1 - Math.abs(2 * l - 1));
+		if (max === r) {
+			h = 60 * (((g - b) / d) % 6);
+		} else if (max === g) {
+			h = 60 * ((b - r) / d + 2);
+		} else {
+			h = 60 * ((r - g) / d + 4);
+		}
+		if (h < 0) {
+			h += 360;
+		}
+	}
+	return [h, s * 100, l * 100];
+}
+
+/** Returns the WCAG relative luminance of an sRGB colour.
+ * @private
+ * @param {number[]} rgb `[r, g, b]`, with values from 0 to 255.
+ * @returns {number} */
+function relativeLuminance(rgb) {
+	const [r, g, b] = rgb.map(linearize);
+	return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** Converts an sRGB colour to CIELAB, using the D65 white point.
+ * @private
+ * @param {number[]} rgb `[r, g, b]`, with values from 0 to 255.
+ * @returns {number[]} `[L, a, b]` */
+function rgbToLab(rgb) {
+	const [r, g, b] = rgb.map(linearize);
+	const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+	const x = f((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047),
+		y = f(0.2126729 * r + 0.7151522 * g + 0.0721750 * b),
+		z = f((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883);
+	return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+/** Returns the CIEDE2000 colour difference between two CIELAB colours. Differences below about 1 are imperceptible, and differences below about 5 are hard to notice.
+ * @private
+ * @param {number[]} lab1 `[L, a, b]`
+ * @param {number[]} lab2 `[L, a, b]`
+ * @returns {number} */
+function ciede2000([L1, a1, b1], [L2, a2, b2]) {
+	const rad = Math.PI / 180,
+		C1 = Math.hypot(a1, b1),
+		C2 = Math.hypot(a2, b2),
+		Cbar7 = ((C1 + C2) / 2) ** 7,
+		G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7))),
+		a1p = a1 * (1 + G),
+		a2p = a2 * (1 + G),
+		C1p = Math.hypot(a1p, b1),
+		C2p = Math.hypot(a2p, b2);
+	const hue = (b, a) => {
+		const h = Math.atan2(b, a) / rad;
+		return h < 0 ? h + 360 : h;
+	};
+	const h1p = (C1p === 0) ? 0 : hue(b1, a1p),
+		h2p = (C2p === 0) ? 0 : hue(b2, a2p);
+
+	let dhp = 0;
+	if (C1p * C2p !== 0) {
+		dhp = h2p - h1p;
+		if (dhp > 180) {
+			dhp -= 360;
+		} else if (dhp < -180) {
+			dhp += 360;
+		}
+	}
+	const dLp = L2 - L1,
+		dCp = C2p - C1p,
+		dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * rad);
+
+	const Lbarp = (L1 + L2) / 2,
+		Cbarp = (C1p + C2p) / 2;
+	let hbarp = h1p + h2p;
+	if (C1p * C2p !== 0) {
+		if (Math.abs(h1p - h2p) <= 180) {
+			hbarp /= 2;
+		} else {
+			hbarp = (hbarp < 360) ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+		}
+	}
+
+	const T = 1 - 0.17 * Math.cos((hbarp - 30) * rad)
+			+ 0.24 * Math.cos(2 * hbarp * rad)
+			+ 0.32 * Math.cos((3 * hbarp + 6) * rad)
+			- 0.20 * Math.cos((4 * hbarp - 63) * rad),
+		dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2)),
+		Cbarp7 = Cbarp ** 7,
+		Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7)),
+		Sl = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2),
+		Sc = 1 + 0.045 * Cbarp,
+		Sh = 1 + 0.015 * Cbarp * T,
+		Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+	return Math.sqrt(
+		(dLp / Sl) ** 2
+		+ (dCp / Sc) ** 2
+		+ (dHp / Sh) ** 2
+		+ Rt * (dCp / Sc) * (dHp / Sh)
+	);
+}
+
+/** Returns a new date the given number of days after the given date. If the date is invalid, returns `undefined`.
+ * @private
+ * @param {Date|string|number} date
+ * @param {number} days
+ * @returns {Date|undefined} */
+function addDays(date, days) {
+	const time = new Date(date).getTime();
+	if (Number.isNaN(time)) {
+		return;
+	}
+	return new Date(time + days * 86400000);
+}
+
+/** Returns an array marking which colours in `COLOURS` are in the shortest range between two colours.
+ * @private
+ * @param {number} one
+ * @param {number} two
+ * @returns {boolean[]} */
+function rangeMembers(one, two) {
+	const members = COLOURS.map(() => false);
+	for (const i of colourRange(one, two)) {
+		members[i] = true;
+	}
+	return members;
+}
+
+/** Converts an array marking which colours are in a set into the arcs of the colour wheel that make up that set. Arcs are `[first, last]` pairs which run in colour wheel order from `first` to `last`, possibly wrapping around the ends of `COLOURS`.
+ * @private
+ * @param {boolean[]} members
+ * @returns {Array.<number[]>} */
+function membersToArcs(members) {
+	const len = members.length,
+		start = members.indexOf(false);
+	if (start < 0) {
+		return [[0, len - 1]];
+	}
+	const arcs = [];
+	let first;
+	for (let n = 1; n <= len; n++) {
+		const i = (start + n) % len;
+		if (members[i] && first === undefined) {
+			first = i;
+		} else if (!members[i] && first !== undefined) {
+			arcs.push([first, (i + len - 1) % len]);
+			first = undefined;
+		}
+	}
+	return arcs.sort((a, b) => a[0] - b[0]);
+}
+
+/** Compares one array from two dataset snapshots. Traits are matched by site ID if they have one, and by name if they don't.
+ * @private
+ * @param {Array.<{name: string, sid: (number|undefined)}>} from
+ * @param {Array.<{name: string, sid: (number|undefined)}>} to
+ * @returns {ArrayDiff} */
+function diffArray(from, to) {
+	const key = x => x.sid ?? normalizeName(x.name),
+		toIndex = new Map(to.map((x, i) => [key(x), i])),
+		fromKeys = new Set(from.map(key));
+
+	const indexMap = from.map(x => toIndex.get(key(x)));
+	return {
+		added: to.filter(x => !fromKeys.has(key(x))).map(x => x.name),
+		removed: from.filter((x, i) => indexMap[i] === undefined).map(x => x.name),
+		indexMap,
+		shifted: indexMap.some((x, i) => x !== i)
+	};
+}
+
+/** Undoes one data version's changes to one array from a dataset snapshot, in place.
+ * @private
+ * @param {Array.<{name: string, sid: (number|undefined)}>} arr The array as it was in that version.
+ * @param {Array.<{index: number, name: string, sid: (number|undefined)}>} added The traits added in that version, at their indices in that version.
+ * @param {Array.<{index: number, name: string, sid: (number|undefined)}>} removed The traits removed in that version, at their indices in the version before. */
+function undoChanges(arr, added, removed) {
+	for (const x of [...added].sort((a, b) => b.index - a.index)) {
+		arr.splice(x.index, 1);
+	}
+	for (const {index, ...x} of [...removed].sort((a, b) => a.index - b.index)) {
+		arr.splice(index, 0, x);
+	}
+}
+
+/** Cache of CIELAB values for colours in `COLOURS`.
+ * @private
+ * @type {WeakMap.<Colour, number[]>} */
+const LAB_CACHE = new WeakMap();
+
+/** Returns the CIELAB value of a colour from `COLOURS`.
+ * @private
+ * @param {Colour} colour
+ * @returns {number[]} */
+function labOf(colour) {
+	if (!LAB_CACHE.has(colour)) {
+		LAB_CACHE.set(colour, rgbToLab(parseRgb(colour.hex)));
+	}
+	return LAB_CACHE.get(colour);
+}
+
+/** Builds the object of colour families for `COLOUR_FAMILIES`.
+ * @private
+ * @returns {Object.<ColourFamily, number[]>} */
+function buildColourFamilies() {
+	const families = {};
+	for (const family of Object.values(ColourFamily)) {
+		families[family] = [];
+	}
+	for (const [i, x] of COLOURS.entries()) {
+		families[x.family].push(i);
+	}
+	return deepFreeze(families);
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // PUBLIC FUNCTIONS
 ///////////////////////////////////////////////////////////////////////////////
@@ -277,6 +681,116 @@ export function isColourSubrangeInRange(range1, range2, target1, target2) {
 	}
 }
 
+/** Returns the probability of a hatchling being each colour in the shortest range between its parents' colours in one gene slot. Every colour in the range is equally likely. If either parameter is not an index in {@link module:FRjs/data.COLOURS COLOURS}, returns `undefined`.
+ * @param {number} one Index of the first parent's colour.
+ * @param {number} two Index of the second parent's colour.
+ * @returns {Array.<{index: number, probability: number}>|undefined} Every colour in the range in colour wheel order, where `index` is the colour's index in `COLOURS`. */
+export function colourProbabilities(one, two) {
+	if (!(one in COLOURS && two in COLOURS)) {
+		return;
+	}
+	const probability = 1 / colourRangeLength(one, two);
+	return [...colourRange(one, two)].map(index => ({ index, probability }));
+}
+
+/** Returns the probabilities of a hatchling being each possible colour in all three gene slots at once, given its parents' colours. Each slot's probabilities are as per {@link module:FRjs/data.colourProbabilities colourProbabilities}. If any colour of either parent is not an index in {@link module:FRjs/data.COLOURS COLOURS}, returns `undefined`.
+ * @param {{primary: number, secondary: number, tertiary: number}} one Indices of the first parent's colours.
+ * @param {{primary: number, secondary: number, tertiary: number}} two Indices of the second parent's colours.
+ * @returns {{primary: Array.<{index: number, probability: number}>, secondary: Array.<{index: number, probability: number}>, tertiary: Array.<{index: number, probability: number}>}|undefined} */
+export function colourProbabilitiesForSlots(one, two) {
+	const result = {};
+	for (const slot in GENES) {
+		result[slot] = colourProbabilities(one?.[slot], two?.[slot]);
+		if (!result[slot]) {
+			return;
+		}
+	}
+	return result;
+}
+
+/** Returns the probability that a hatchling's colour in one gene slot lands in the shortest colour range from `target1` to `target2`, given its parents' colours in that slot. If any parameter is not an index in {@link module:FRjs/data.COLOURS COLOURS}, returns `undefined`.
+ * @param {number} one Index of the first parent's colour.
+ * @param {number} two Index of the second parent's colour.
+ * @param {number} target1 Index of the first colour in the target range.
+ * @param {number} target2 Index of the last colour in the target range.
+ * @returns {number|undefined} */
+export function colourSubrangeProbability(one, two, target1, target2) {
+	if (!(one in COLOURS && two in COLOURS && target1 in COLOURS && target2 in COLOURS)) {
+		return;
+	}
+	const target = rangeMembers(target1, target2);
+	let count = 0;
+	for (const i of colourRange(one, two)) {
+		count += target[i] ? 1 : 0;
+	}
+	return count / colourRangeLength(one, two);
+}
+
+/** Returns the overlap between the shortest colour range from `one1` to `two1` and the shortest colour range from `one2` to `two2`. Because the colour wheel is circular, two ranges can overlap in two separate places.
+ *
+ * The result is an array of zero, one or two arcs. Each arc is a `[first, last]` pair of indices which runs in colour wheel order from `first` to `last`, possibly wrapping around the ends of {@link module:FRjs/data.COLOURS COLOURS}; use {@link module:FRjs/data.colourArc colourArc} to get all the colours in one. If any parameter is not an index in `COLOURS`, returns `undefined`.
+ * @param {number} one1 Index of the first colour in the first range.
+ * @param {number} two1 Index of the last colour in the first range.
+ * @param {number} one2 Index of the first colour in the second range.
+ * @param {number} two2 Index of the last colour in the second range.
+ * @returns {Array.<number[]>|undefined} */
+export function colourRangeIntersection(one1, two1, one2, two2) {
+	if (!(one1 in COLOURS && two1 in COLOURS && one2 in COLOURS && two2 in COLOURS)) {
+		return;
+	}
+	const a = rangeMembers(one1, two1),
+		b = rangeMembers(one2, two2);
+	return membersToArcs(a.map((x, i) => x && b[i]));
+}
+
+/** Returns all colours in either the shortest colour range from `one1` to `two1` or the shortest colour range from `one2` to `two2`, as an array of one or two arcs in the same format as {@link module:FRjs/data.colourRangeIntersection colourRangeIntersection}. Ranges that touch end-to-end are merged. If any parameter is not an index in {@link module:FRjs/data.COLOURS COLOURS}, returns `undefined`.
+ * @param {number} one1 Index of the first colour in the first range.
+ * @param {number} two1 Index of the last colour in the first range.
+ * @param {number} one2 Index of the first colour in the second range.
+ * @param {number} two2 Index of the last colour in the second range.
+ * @returns {Array.<number[]>|undefined} */
+export function colourRangeUnion(one1, two1, one2, two2) {
+	if (!(one1 in COLOURS && two1 in COLOURS && one2 in COLOURS && two2 in COLOURS)) {
+		return;
+	}
+	const a = rangeMembers(one1, two1),
+		b = rangeMembers(one2, two2);
+	return membersToArcs(a.map((x, i) => x || b[i]));
+}
+
+/** Returns the colours between the shortest colour range from `one1` to `two1` and the shortest colour range from `one2` to `two2`; ie. the smallest set of colours that would join the two ranges into one. If the ranges overlap or touch end-to-end, there is no gap. The result is an array of zero or one arcs in the same format as {@link module:FRjs/data.colourRangeIntersection colourRangeIntersection}. If any parameter is not an index in {@link module:FRjs/data.COLOURS COLOURS}, returns `undefined`.
+ * @param {number} one1 Index of the first colour in the first range.
+ * @param {number} two1 Index of the last colour in the first range.
+ * @param {number} one2 Index of the first colour in the second range.
+ * @param {number} two2 Index of the last colour in the second range.
+ * @returns {Array.<number[]>|undefined} */
+export function colourRangeGap(one1, two1, one2, two2) {
+	const union = colourRangeUnion(one1, two1, one2, two2);
+	if (!union || union.length < 2) {
+		return union && [];
+	}
+	// The two gaps are the spaces between the ends of the two arcs of the union
+	const len = COLOURS.length,
+		[[f1, l1], [f2, l2]] = union,
+		gaps = [
+			[(l1 + 1) % len, (f2 + len - 1) % len],
+			[(l2 + 1) % len, (f1 + len - 1) % len]
+		];
+	const arcLength = ([first, last]) => ((last - first + len) % len) + 1;
+	return [arcLength(gaps[0]) <= arcLength(gaps[1]) ? gaps[0] : gaps[1]];
+}
+
+/** Returns all colours that are NOT in the shortest range between two colours, as an array of zero or one arcs in the same format as {@link module:FRjs/data.colourRangeIntersection colourRangeIntersection}. If either parameter is not an index in {@link module:FRjs/data.COLOURS COLOURS}, returns `undefined`.
+ * @param {number} one Index of the first colour in the range.
+ * @param {number} two Index of the last colour in the range.
+ * @returns {Array.<number[]>|undefined} */
+export function colourRangeComplement(one, two) {
+	if (!(one in COLOURS && two in COLOURS)) {
+		return;
+	}
+	return membersToArcs(rangeMembers(one, two).map(x => !x));
+}
+
 /** Returns `true` if the two given breeds are compatible for breeding -- meaning either they're both modern breeds, or they're the same ancient breed -- and `false` if they aren't. If either parameter is not an index in {@link module:FRjs/data.BREEDS BREEDS}, returns `undefined`.
  * @param {number} one Index of the first breed.
  * @param {number} two Index of the second breed.
@@ -307,6 +821,30 @@ export function nestSizesForBreeds(one, two) {
 		: NEST_SIZES.diffBreeds;
 }
 
+/** Returns the date on which two dragons of the given breeds that were nested together on the given date will both be able to nest again; ie. when the longer of their breeds' cooldowns is over. If the breeds are incompatible, if either parameter is not an index in {@link module:FRjs/data.BREEDS BREEDS}, or if the date is invalid, returns `undefined`.
+ * @param {number} one Index of the first breed.
+ * @param {number} two Index of the second breed.
+ * @param {Date|string|number} date The date the dragons were nested. Anything the `Date` constructor accepts.
+ * @returns {Date|undefined} */
+export function breedingCooldownEnd(one, two, date) {
+	if (!(one in BREEDS && two in BREEDS && areBreedsCompatible(one, two))) {
+		return;
+	}
+	return addDays(date, Math.max(BREEDS[one].cooldown, BREEDS[two].cooldown));
+}
+
+/** Returns the date on which eggs from nesting dragons of the given breeds on the given date will hatch. Since every egg in a nest hatches at once, this uses the longer of the two breeds' incubation periods. If the breeds are incompatible, if either parameter is not an index in {@link module:FRjs/data.BREEDS BREEDS}, or if the date is invalid, returns `undefined`.
+ * @param {number} one Index of the first breed.
+ * @param {number} two Index of the second breed.
+ * @param {Date|string|number} date The date the dragons were nested. Anything the `Date` constructor accepts.
+ * @returns {Date|undefined} */
+export function hatchDate(one, two, date) {
+	if (!(one in BREEDS && two in BREEDS && areBreedsCompatible(one, two))) {
+		return;
+	}
+	return addDays(date, Math.max(BREEDS[one].incubation, BREEDS[two].incubation));
+}
+
 /** Yields indices on {@link module:FRjs/data.GENES GENES} of all genes available to a breed in a specific slot. If no breed id or an invalid breed id is provided, ignores restrictions and yields all genes for this slot. If the slot is invalid, yields nothing.
  * @param {"primary"|"secondary"|"tertiary"} slot The slot to retrieve genes for.
  * @param {number} [breed] Index of the breed to retrieve genes for.
@@ -325,6 +863,42 @@ export function* genesForBreed(slot, breed) {
 	}
 }
 
+/** Returns indices on {@link module:FRjs/data.GENES GENES} of all genes in a slot that match all of the given criteria. Criteria that are left out aren't checked. Genes whose metadata hasn't been recorded (ie. whose `source`, `breedable` flag or release date is `undefined`) never match criteria about that metadata. If the slot is invalid, returns an empty array.
+ *
+ * **Note:** every built-in gene is breedable, but the sources and release dates of the built-in genes aren't recorded yet, so the `source`, `releasedAfter` and `releasedBefore` criteria only match genes whose metadata has been filled in with {@link module:FRjs/data.extend extend}.
+ * @param {"primary"|"secondary"|"tertiary"} slot The slot to search.
+ * @param {Object} [criteria]
+ * @param {number} [criteria.breed] Index of a breed in `BREEDS`. Only genes available on this breed match, and release dates are checked for this breed.
+ * @param {Rarity|Rarity[]} [criteria.rarity] One or more rarities to match.
+ * @param {GeneSource|GeneSource[]} [criteria.source] One or more sources to match.
+ * @param {boolean} [criteria.breedable] Whether the gene can be passed down through breeding.
+ * @param {Date|string|number} [criteria.releasedAfter] Only genes released on or after this date match. Requires `breed`.
+ * @param {Date|string|number} [criteria.releasedBefore] Only genes released on or before this date match. Requires `breed`.
+ * @returns {number[]}
+ * @see {@link module:FRjs/data.GeneSource GeneSource}
+ * @see {@link module:FRjs/data.Rarity Rarity} */
+export function filterGenes(slot, {breed, rarity, source, breedable, releasedAfter, releasedBefore} = {}) {
+	const rarities = asArray(rarity),
+		sources = asArray(source),
+		after = releasedAfter === undefined ? undefined : new Date(releasedAfter),
+		before = releasedBefore === undefined ? undefined : new Date(releasedBefore);
+
+	const results = [];
+	for (const i of genesForBreed(slot, breed)) {
+		const x = GENES[slot][i],
+			released = x.releaseDateForBreed(breed);
+		if ((rarities && !rarities.includes(x.rarity))
+			|| (sources && !sources.includes(x.source))
+			|| (breedable !== undefined && x.breedable !== breedable)
+			|| (after && !(released >= after))
+			|| (before && !(released <= before))) {
+			continue;
+		}
+		results.push(i);
+	}
+	return results;
+}
+
 /** Yields indices on {@link module:FRjs/data.COLOURS COLOURS} of all colours in the shortest range between the two given colours. If either parameter is not an index in `COLOURS`, yields nothing.
  * @param {number} one Index of the first colour in the range.
  * @param {number} two Index of the last colour in the range.
@@ -352,11 +926,481 @@ export function* colourRange(one, two) {
 	}
 }
 
+/** Yields indices on {@link module:FRjs/data.COLOURS COLOURS} of all colours in an arc of the colour wheel, in colour wheel order from `first` to `last`. Unlike {@link module:FRjs/data.colourRange colourRange}, the arc always runs forwards and isn't necessarily the shortest range, so it's suitable for the arcs returned by functions like {@link module:FRjs/data.colourRangeUnion colourRangeUnion}. If either parameter is not an index in `COLOURS`, yields nothing.
+ * @param {number} first Index of the first colour in the arc.
+ * @param {number} last Index of the last colour in the arc.
+ * @yields {number} */
+export function* colourArc(first, last) {
+	if (!(first in COLOURS && last in COLOURS)) {
+		return;
+	}
+	first = +first;
+	last = +last;
+	for (let i = first; ; i = (i + 1) % COLOURS.length) {
+		yield i;
+		if (i === last) {
+			return;
+		}
+	}
+}
+
+/** Returns the index in {@link module:FRjs/data.BREEDS BREEDS} of the breed with the given on-site ID. If there is no such breed, returns `undefined`.
+ * @param {number} sid
+ * @returns {number|undefined} */
+export function breedBySid(sid) {
+	return SID_LOOKUP.breeds.get(+sid);
+}
+
+/** Returns the index in {@link module:FRjs/data.EYES EYES} of the eye type with the given on-site ID. If there is no such eye type, returns `undefined`.
+ * @param {number} sid
+ * @returns {number|undefined} */
+export function eyeBySid(sid) {
+	return SID_LOOKUP.eyes.get(+sid);
+}
+
+/** Returns the index in {@link module:FRjs/data.COLOURS COLOURS} of the colour with the given on-site ID. If there is no such colour, returns `undefined`.
+ * @param {number} sid
+ * @returns {number|undefined} */
+export function colourBySid(sid) {
+	return SID_LOOKUP.colours.get(+sid);
+}
+
+/** Returns the index in {@link module:FRjs/data.ELEMENTS ELEMENTS} of the element with the given on-site ID. If there is no such element, returns `undefined`.
+ * @param {number} sid
+ * @returns {number|undefined} */
+export function elementBySid(sid) {
+	return SID_LOOKUP.elements.get(+sid);
+}
+
+/** Returns the index in {@link module:FRjs/data.AGES AGES} of the age with the given on-site ID. If there is no such age, returns `undefined`.
+ * @param {number} sid
+ * @returns {number|undefined} */
+export function ageBySid(sid) {
+	return SID_LOOKUP.ages.get(+sid);
+}
+
+/** Returns the index in {@link module:FRjs/data.GENDERS GENDERS} of the gender with the given on-site ID. If there is no such gender, returns `undefined`.
+ * @param {number} sid
+ * @returns {number|undefined} */
+export function genderBySid(sid) {
+	return SID_LOOKUP.genders.get(+sid);
+}
+
+/** Returns the index in {@link module:FRjs/data.GENES GENES}`[slot]` of the gene with the given on-site ID on the given breed. Gene site IDs are only unique within a slot and breed, so both are required. If the slot or breed are invalid, or there is no such gene, returns `undefined`.
+ * @param {"primary"|"secondary"|"tertiary"} slot The slot the gene is in.
+ * @param {number} breed Index of the breed the gene is on.
+ * @param {number} sid
+ * @returns {number|undefined} */
+export function geneBySid(slot, breed, sid) {
+	const type = BREEDS[breed]?.type;
+	if (!(slot in GENES) || type === undefined) {
+		return;
+	}
+	return SID_LOOKUP.genes[slot].get(type === MODERN ? MODERN : +breed)?.get(+sid);
+}
+
+/** Returns the index in the given array of the member whose name matches `name`. Matching ignores case, spaces and punctuation (so "multi gaze" matches "Multi-Gaze"), and understands common alternate names (such as "Adult" for the "Dragon" age, and "Gray" for "Grey"). If there's no match, returns `undefined`.
+ * @param {Array.<{name: string}>} arr Array of objects with a `name` property; for example, {@link module:FRjs/data.COLOURS COLOURS} or `GENES.primary`.
+ * @param {string} name The name to look for.
+ * @returns {number|undefined} */
+export function indexByName(arr, name) {
+	return nameLookup(arr).get(normalizeName(name));
+}
+
+/** Returns members of the given array whose names are similar to `name`, ranked from most to least similar, for resolving free-text or misspelled names. Each candidate is scored from `0` to `1`, where `1` is an exact match as per {@link module:FRjs/data.indexByName indexByName}.
+ * @param {Array.<{name: string}>} arr Array of objects with a `name` property; for example, {@link module:FRjs/data.COLOURS COLOURS} or `GENES.primary`.
+ * @param {string} name The name to look for.
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] The maximum number of candidates to return.
+ * @param {number} [options.minScore=0.5] Candidates scoring lower than this are left out.
+ * @returns {Array.<{index: number, score: number}>} */
+export function matchName(arr, name, {limit = 5, minScore = 0.5} = {}) {
+	const query = normalizeName(name),
+		scores = new Map();
+
+	for (const [key, i] of nameLookup(arr)) {
+		const score = 1 - editDistance(query, key) / Math.max(query.length, key.length, 1);
+		if (score >= minScore && score > (scores.get(i) ?? -1)) {
+			scores.set(i, score);
+		}
+	}
+	return [...scores]
+		.map(([index, score]) => ({ index, score }))
+		.sort((a, b) => b.score - a.score || a.index - b.index)
+		.slice(0, limit);
+}
+
+/** Determines whether text placed on the given background colour should be black or white for the best readability. If the colour can't be parsed, returns `undefined`.
+ * @param {string|number[]|{r: number, g: number, b: number}} colour A hex code (with or without a leading `#`, in 3 or 6 digit form), an array of `[r, g, b]`, or an object with `r`, `g`, and `b` properties. RGB values range from 0 to 255.
+ * @returns {string|undefined} Whichever of "000" or "fff" is easier to read when placed on the given background colour. NOT prefixed. */
+export function readableTextColour(colour) {
+	const rgb = parseRgb(colour);
+	if (!rgb) {
+		return;
+	}
+	const [r, g, b] = rgb;
+
+	// Perceived brightness equation from http://alienryderflex.com/hsp.html
+	const perceivedBrightness = Math.sqrt(
+		0.299 * (r * r)
+		+ 0.587 * (g * g)
+		+ 0.114 * (b * b)
+	);
+
+	if (perceivedBrightness > 110) {
+		return "000";
+	}
+	return "fff";
+}
+
+/** Returns the colour family of a colour. If the parameter is not an index in {@link module:FRjs/data.COLOURS COLOURS}, returns `undefined`.
+ * @param {number} colour Index of the colour.
+ * @returns {ColourFamily|undefined}
+ * @see {@link module:FRjs/data.ColourFamily ColourFamily} */
+export function colourFamily(colour) {
+	return COLOURS[colour]?.family;
+}
+
+/** Returns a snapshot of the identities and order of all breeds, eye types, colours, and genes in the data arrays. Snapshots are plain objects that can be stored as JSON (for example, alongside indices saved in `localStorage` or a database) and later compared to the current data with {@link module:FRjs/data.diffDatasets diffDatasets}.
+ * @returns {DatasetSnapshot}
+ * @see {@link module:FRjs/data~DatasetSnapshot DatasetSnapshot} */
+export function snapshotDataset() {
+	const named = arr => arr.map(({name, sid}) => ({ name, sid }));
+	return {
+		version: DATA_VERSION,
+		breeds: named(BREEDS),
+		eyes: named(EYES),
+		colours: named(COLOURS),
+		genes: {
+			primary: GENES.primary.map(({name}) => ({ name })),
+			secondary: GENES.secondary.map(({name}) => ({ name })),
+			tertiary: GENES.tertiary.map(({name}) => ({ name }))
+		}
+	};
+}
+
+/** Returns a snapshot of the built-in data as it was in an older data version, rebuilt from {@link module:FRjs/data.DATA_CHANGELOG DATA_CHANGELOG}. This means indices only need to be saved alongside the {@link module:FRjs/data.DATA_VERSION DATA_VERSION} they were saved under, rather than a whole snapshot. Runtime additions made with {@link module:FRjs/data.extend extend} aren't included, since they don't belong to any version. If the version isn't between 1 and the current version, returns `undefined`.
+ * @param {number} version The data version.
+ * @returns {DatasetSnapshot|undefined}
+ * @see {@link module:FRjs/data~DatasetSnapshot DatasetSnapshot} */
+export function snapshotForVersion(version) {
+	if (!Number.isInteger(+version) || version < 1 || version > DATA_VERSION) {
+		return;
+	}
+
+	const snapshot = {
+		version: +version,
+		breeds: [...BUILTIN_SNAPSHOT.breeds],
+		eyes: [...BUILTIN_SNAPSHOT.eyes],
+		colours: [...BUILTIN_SNAPSHOT.colours],
+		genes: {
+			primary: [...BUILTIN_SNAPSHOT.genes.primary],
+			secondary: [...BUILTIN_SNAPSHOT.genes.secondary],
+			tertiary: [...BUILTIN_SNAPSHOT.genes.tertiary]
+		}
+	};
+	// Undo each newer version's changes, newest first
+	for (const entry of [...DATA_CHANGELOG].reverse()) {
+		if (entry.version <= version) {
+			break;
+		}
+		for (const arrName of ["breeds", "eyes", "colours"]) {
+			undoChanges(snapshot[arrName], entry.added[arrName], entry.removed[arrName]);
+		}
+		for (const slot in snapshot.genes) {
+			undoChanges(snapshot.genes[slot], entry.added.genes[slot], entry.removed.genes[slot]);
+		}
+	}
+	return snapshot;
+}
+
+/** Compares two dataset snapshots, and returns what was added and removed between them, and how indices moved. Breeds, eye types, and colours are matched by site ID; genes are matched by name within each slot. Use the result's `shifted` property to detect whether indices saved under the older snapshot are still valid, and its `indexMap`s to migrate them.
+ *
+ * Either snapshot may also be given as a data version number, in which case it's rebuilt with {@link module:FRjs/data.snapshotForVersion snapshotForVersion}. If a version is invalid, returns `undefined`.
+ * @param {DatasetSnapshot|number} from The older snapshot, or its data version.
+ * @param {DatasetSnapshot|number} [to] The newer snapshot, or its data version. Defaults to a snapshot of the current data.
+ * @returns {DatasetDiff|undefined}
+ * @see {@link module:FRjs/data~DatasetDiff DatasetDiff} */
+export function diffDatasets(from, to = snapshotDataset()) {
+	from = typeof from === "object" ? from : snapshotForVersion(from);
+	to = typeof to === "object" ? to : snapshotForVersion(to);
+	if (!from || !to) {
+		return;
+	}
+
+	const diff = {
+		from: from.version,
+		to: to.version,
+		breeds: diffArray(from.breeds, to.breeds),
+		eyes: diffArray(from.eyes, to.eyes),
+		colours: diffArray(from.colours, to.colours),
+		genes: {}
+	};
+	for (const slot in GENES) {
+		diff.genes[slot] = diffArray(from.genes[slot], to.genes[slot]);
+	}
+	diff.shifted = [diff.breeds, diff.eyes, diff.colours, ...Object.values(diff.genes)].some(x => x.shifted);
+	return diff;
+}
+
+/** Checks that the data arrays satisfy all the assumptions the rest of FRjs makes about them, and returns a description of every problem found. Useful for checking changes to the data, including additions made with {@link module:FRjs/data.extend extend}. Checks that:
+ * - Names and site IDs are unique within each array.
+ * - Gene site IDs are unique within each slot, for each breed.
+ * - Every key in a gene's `sids` is either `BreedType.MODERN` or the index of an ancient breed, and every gene is available on at least one breed.
+ * - Every breed and gene has a valid `Rarity`, and every breed has a valid `BreedType`, cooldown and incubation period.
+ * - Every colour has a valid 6-digit hex code and `ColourFamily`.
+ * - Eye type probabilities are between 0 and 1, and add up to 1 (give or take rounding).
+ * @returns {string[]} Descriptions of every problem found. Empty if there are no problems.
+ * @see {@link module:FRjs/data.Rarity Rarity}
+ * @see {@link module:FRjs/data.BreedType BreedType} */
+export function validateDataset() {
+	const problems = [],
+		rarities = Object.values(Rarity),
+		label = (arrName, i, x) => `${arrName}[${i}] ("${x.name}")`;
+
+	const checkUnique = (arrName, arr) => {
+		const names = new Map(),
+			sids = new Map();
+		for (const [i, x] of arr.entries()) {
+			const name = normalizeName(x.name);
+			if (names.has(name)) {
+				problems.push(`${label(arrName, i, x)} has the same name as ${label(arrName, names.get(name), arr[names.get(name)])}`);
+			} else {
+				names.set(name, i);
+			}
+			if (!("sid" in x)) {
+				continue;
+			} else if (sids.has(x.sid)) {
+				problems.push(`${label(arrName, i, x)} has the same site ID (${x.sid}) as ${label(arrName, sids.get(x.sid), arr[sids.get(x.sid)])}`);
+			} else {
+				sids.set(x.sid, i);
+			}
+		}
+	};
+
+	checkUnique("AGES", AGES);
+	checkUnique("GENDERS", GENDERS);
+	checkUnique("ELEMENTS", ELEMENTS);
+	checkUnique("EYES", EYES);
+	checkUnique("COLOURS", COLOURS);
+	checkUnique("BREEDS", BREEDS);
+
+	for (const [i, x] of BREEDS.entries()) {
+		if (!Object.values(BreedType).includes(x.type)) {
+			problems.push(`${label("BREEDS", i, x)} has an invalid breed type (${x.type})`);
+		}
+		if (!rarities.includes(x.rarity)) {
+			problems.push(`${label("BREEDS", i, x)} has an invalid rarity (${x.rarity})`);
+		}
+		if (!(Number.isInteger(x.cooldown) && x.cooldown > 0 && Number.isInteger(x.incubation) && x.incubation > 0)) {
+			problems.push(`${label("BREEDS", i, x)} has an invalid cooldown (${x.cooldown}) or incubation period (${x.incubation})`);
+		}
+	}
+
+	for (const [i, x] of COLOURS.entries()) {
+		if (!/^[0-9a-f]{6}$/i.test(x.hex)) {
+			problems.push(`${label("COLOURS", i, x)} has an invalid hex code (${x.hex})`);
+		}
+		if (!Object.values(ColourFamily).includes(x.family)) {
+			problems.push(`${label("COLOURS", i, x)} has an invalid colour family (${x.family})`);
+		}
+	}
+
+	let eyeTotal = 0;
+	for (const [i, x] of EYES.entries()) {
+		if (!(x.probability >= 0 && x.probability <= 1)) {
+			problems.push(`${label("EYES", i, x)} has an invalid probability (${x.probability})`);
+		}
+		eyeTotal += x.probability;
+	}
+	if (Math.abs(eyeTotal - 1) > 1e-3) {
+		problems.push(`EYES probabilities add up to ${eyeTotal}, not 1`);
+	}
+
+	for (const slot in GENES) {
+		const arrName = `GENES.${slot}`;
+		checkUnique(arrName, GENES[slot].map(({name}) => ({ name })));
+
+		// Map of breed keys to maps of site IDs to the first gene index with that site ID
+		const sidsByBreed = new Map();
+		for (const [i, x] of GENES[slot].entries()) {
+			if (!rarities.includes(x.rarity)) {
+				problems.push(`${label(arrName, i, x)} has an invalid rarity (${x.rarity})`);
+			}
+			if (keys(x.sids).length === 0) {
+				problems.push(`${label(arrName, i, x)} isn't available on any breed`);
+			}
+			if (x.source !== undefined && !Object.values(GeneSource).includes(x.source)) {
+				problems.push(`${label(arrName, i, x)} has an invalid source (${x.source})`);
+			}
+			for (const k in x.released) {
+				if (!(k in x.sids)) {
+					problems.push(`${label(arrName, i, x)} has a release date for "${k}", where it isn't available`);
+				} else if (Number.isNaN(new Date(x.released[k]).getTime())) {
+					problems.push(`${label(arrName, i, x)} has an invalid release date for "${k}" (${x.released[k]})`);
+				}
+			}
+			for (const k in x.sids) {
+				if (k !== MODERN && BREEDS[k]?.type !== ANCIENT) {
+					problems.push(`${label(arrName, i, x)} has a site ID for "${k}", which is not an ancient breed`);
+					continue;
+				}
+				const breedName = k === MODERN ? "modern breeds" : BREEDS[k].name;
+				if (!sidsByBreed.has(k)) {
+					sidsByBreed.set(k, new Map());
+				}
+				const sids = sidsByBreed.get(k);
+				if (sids.has(x.sids[k])) {
+					const j = sids.get(x.sids[k]);
+					problems.push(`${label(arrName, i, x)} has the same site ID on ${breedName} (${x.sids[k]}) as ${label(arrName, j, GENES[slot][j])}`);
+				} else {
+					sids.set(x.sids[k], i);
+				}
+			}
+		}
+	}
+	return problems;
+}
+
+/** Returns the colours in {@link module:FRjs/data.COLOURS COLOURS} which look most like the given colour, ranked from closest to furthest. Closeness is measured by perceptual colour difference (CIEDE2000), where a distance below about 1 is imperceptible and below about 5 is hard to notice. If the given colour can't be parsed, returns `undefined`.
+ * @param {string|number[]|{r: number, g: number, b: number}} colour A hex code (with or without a leading `#`, in 3 or 6 digit form), an array of `[r, g, b]`, or an object with `r`, `g`, and `b` properties. RGB values range from 0 to 255.
+ * @param {number} [limit=5] The maximum number of colours to return.
+ * @returns {Array.<{index: number, distance: number}>|undefined} */
+export function nearestColours(colour, limit = 5) {
+	const rgb = parseRgb(colour);
+	if (!rgb) {
+		return;
+	}
+	const lab = rgbToLab(rgb);
+	return COLOURS
+		.map((x, index) => ({ index, distance: ciede2000(lab, labOf(x)) }))
+		.sort((a, b) => a.distance - b.distance)
+		.slice(0, limit);
+}
+
+
+/** Functions for finding traits in the data arrays that match a set of criteria. Every function takes an object of criteria and returns an array of indices on the relevant data array, in ascending order. Criteria that are left out aren't checked, and traits must match all of the given criteria. Criteria that accept several values match traits with any of them.
+ *
+ * For example:
+ * ```js
+ * // Rare and limited tertiary genes available on Aether
+ * FR.query.genes({ slot: "tertiary", breed: aether, rarity: [FR.Rarity.RARE, FR.Rarity.LIMITED] });
+ * // Dark blues
+ * FR.query.colours({ family: FR.ColourFamily.BLUE, lightness: [0, 40] });
+ * // All modern breeds
+ * FR.query.breeds({ type: FR.BreedType.MODERN });
+ * ```
+ * @namespace */
+export const query = freeze({
+	/** Returns indices on {@link module:FRjs/data.GENES GENES} of matching genes in one slot. Takes the same criteria as {@link module:FRjs/data.filterGenes filterGenes}, plus the slot. If the slot is invalid, returns an empty array.
+	 * @param {Object} criteria
+	 * @param {"primary"|"secondary"|"tertiary"} criteria.slot The slot to search.
+	 * @param {number} [criteria.breed] Index of a breed in `BREEDS`. Only genes available on this breed match.
+	 * @param {Rarity|Rarity[]} [criteria.rarity]
+	 * @param {GeneSource|GeneSource[]} [criteria.source]
+	 * @param {boolean} [criteria.breedable]
+	 * @param {Date|string|number} [criteria.releasedAfter]
+	 * @param {Date|string|number} [criteria.releasedBefore]
+	 * @returns {number[]} */
+	genes({slot, ...criteria} = {}) {
+		return filterGenes(slot, criteria);
+	},
+
+	/** Returns indices on {@link module:FRjs/data.COLOURS COLOURS} of matching colours. Hue, saturation, and lightness are those of the colour's {@link module:FRjs/data~Colour Colour}`.hsl`, and are given as inclusive `[min, max]` ranges where either end may be left `undefined`. Hue ranges may wrap around, so `[330, 20]` matches hues from 330 up to 360 and from 0 up to 20.
+	 * @param {Object} [criteria]
+	 * @param {ColourFamily|ColourFamily[]} [criteria.family] One or more colour families to match.
+	 * @param {number[]} [criteria.hue] Range of hues, from 0 to 360.
+	 * @param {number[]} [criteria.saturation] Range of saturations, from 0 to 100.
+	 * @param {number[]} [criteria.lightness] Range of lightnesses, from 0 to 100.
+	 * @param {number[]} [criteria.range] Indices of the first and last colours of a colour range, as in {@link module:FRjs/data.isColourInRange isColourInRange}. Only colours in that range match.
+	 * @returns {number[]}
+	 * @see {@link module:FRjs/data.ColourFamily ColourFamily} */
+	colours({family, hue, saturation, lightness, range} = {}) {
+		const families = asArray(family);
+		const results = [];
+		for (const [i, x] of COLOURS.entries()) {
+			const hsl = (hue || saturation || lightness) && x.hsl;
+			if ((families && !families.some(f => COLOUR_FAMILIES[f]?.includes(i)))
+				|| (hue && !inRange(hsl.h, hue, 360))
+				|| (saturation && !inRange(hsl.s, saturation))
+				|| (lightness && !inRange(hsl.l, lightness))
+				|| (range && !isColourInRange(range[0], range[1], i))) {
+				continue;
+			}
+			results.push(i);
+		}
+		return results;
+	},
+
+	/** Returns indices on {@link module:FRjs/data.BREEDS BREEDS} of matching breeds.
+	 * @param {Object} [criteria]
+	 * @param {BreedType} [criteria.type]
+	 * @param {Rarity|Rarity[]} [criteria.rarity] One or more rarities to match.
+	 * @param {number} [criteria.compatibleWith] Index of a breed in `BREEDS`. Only breeds that can be nested with this breed match.
+	 * @returns {number[]}
+	 * @see {@link module:FRjs/data.BreedType BreedType}
+	 * @see {@link module:FRjs/data.Rarity Rarity} */
+	breeds({type, rarity, compatibleWith} = {}) {
+		const rarities = asArray(rarity);
+		const results = [];
+		for (const [i, x] of BREEDS.entries()) {
+			if ((type !== undefined && x.type !== type)
+				|| (rarities && !rarities.includes(x.rarity))
+				|| (compatibleWith !== undefined && !areBreedsCompatible(compatibleWith, i))) {
+				continue;
+			}
+			results.push(i);
+		}
+		return results;
+	}
+});
 
 ///////////////////////////////////////////////////////////////////////////////
 // PUBLIC DATA
 ///////////////////////////////////////////////////////////////////////////////
 
+/** The version of the data in this module. Incremented every time a trait is added to, removed from, or moved within the data arrays, and so whenever indices saved under an older version might no longer be correct. Runtime additions made with {@link module:FRjs/data.extend extend} don't change the version. Every change in each version, and where it was made, is recorded in `DATA_CHANGELOG`.
+ * @type {number}
+ * @see {@link module:FRjs/data.DATA_CHANGELOG DATA_CHANGELOG} */
+export const DATA_VERSION = 1;
+
+/** Machine-readable log of the traits added to and removed from the data arrays in each data version, from oldest to newest, along with where they were. Version 1 is the first versioned dataset, and everything in it is treated as having already existed. Used by {@link module:FRjs/data.snapshotForVersion snapshotForVersion} to rebuild older versions of the data, so indices saved under an older version can be migrated from just the version number.
+ *
+ * Each entry has the following structure, where `added` traits are listed with their index in that version's arrays, and `removed` traits with their index in the previous version's arrays. A trait that moved is listed as both removed and added. Genes have no `sid`, since they're matched by name.
+ * ```js
+ * {
+ * 	version: number,
+ * 	added: {
+ * 		breeds: [{ index: number, name: string, sid: number }],
+ * 		eyes: [{ index: number, name: string, sid: number }],
+ * 		colours: [{ index: number, name: string, sid: number }],
+ * 		genes: {
+ * 			primary: [{ index: number, name: string }],
+ * 			secondary: [{ index: number, name: string }],
+ * 			tertiary: [{ index: number, name: string }]
+ * 		}
+ * 	},
+ * 	removed: {
+ * 		// Same as added
+ * 	}
+ * }
+ * ```
+ * @type {Array.<{version: number, added: Object, removed: Object}>}
+ * @see {@link module:FRjs/data.DATA_VERSION DATA_VERSION} */
+export const DATA_CHANGELOG = deepFreeze([
+	{
+		version: 1,
+		added: {
+			breeds: [], eyes: [], colours: [],
+			genes: { primary: [], secondary: [], tertiary: [] }
+		},
+		removed: {
+			breeds: [], eyes: [], colours: [],
+			genes: { primary: [], secondary: [], tertiary: [] }
+		}
+	}
+]);
+
 /** Enum for breed types. This effects which genes are available on a breed, and which breed(s) it can be paired with.
  * @enum {string}
  * @prop {string} ANCIENT
@@ -374,6 +1418,35 @@ export const BreedType = freeze({ ANCIENT, MODERN });
  */
 export const Rarity = freeze({ PLENTIFUL, COMMON, UNCOMMON, LIMITED, RARE });
 
+/** Enum for the ways genes can be obtained.
+ * @enum {string}
+ * @prop {string} PERMANENT Always available in the gene shop.
+ * @prop {string} LIMITED Only available for a limited time, such as during a festival.
+ * @prop {string} TREASURE Only obtainable from gem or treasure sources outside the gene shop, such as hoard items or chests.
+ */
+export const GeneSource = freeze({
+	PERMANENT: "permanent",
+	LIMITED: "limited",
+	TREASURE: "treasure"
+});
+
+/** Enum for colour families; broad groups of similar colours, such as all the blues. Ordered as they appear on the colour wheel, with browns, greys and neutrals at the end.
+ * @enum {string}
+ * @prop {string} RED
+ * @prop {string} ORANGE
+ * @prop {string} YELLOW
+ * @prop {string} GREEN
+ * @prop {string} BLUE
+ * @prop {string} PURPLE
+ * @prop {string} PINK
+ * @prop {string} BROWN
+ * @prop {string} GREY
+ * @prop {string} NEUTRAL
+ */
+export const ColourFamily = freeze({
+	RED, ORANGE, YELLOW, GREEN, BLUE, PURPLE, PINK, BROWN, GREY, NEUTRAL
+});
+
 /** The two possible dragon ages in Flight Rising. Ordered as they are in-game.
  * @type {BasicTrait[]}
  * @see {@link module:FRjs/data~BasicTrait BasicTrait} */
@@ -410,7 +1483,7 @@ export const ELEMENTS = deepFreeze([
 /** All possible eye types in Flight Rising. Sorted by probability (descending). [Data Source (retrieved 2024-04-09 at 12:07 PM EST)]{@link https://docs.google.com/spreadsheets/d/1VOh1gwr-cCNMltfIFG8XHM-kEsBJLgVRg19HgiJ89ZA/edit#gid=0}
  * @type {EyeType[]}
  * @see {@link module:FRjs/data~EyeType EyeType} */
-export const EYES = freeze([
+export let EYES = freeze([
 	eye("Common", 0, 0.409123),
 	eye("Uncommon", 1, 0.252662),
 	eye("Unusual", 2, 0.144391),
@@ -433,216 +1506,230 @@ export const EYES = freeze([
 /** All available colours in Flight Rising. Ordered as they are in-game. This should be treated as a circular array.
  * @type {Colour[]}
  * @see {@link module:FRjs/data~Colour Colour} */
-export const COLOURS = freeze([
-	colour("Maize", 1, "fffdea"),
-	colour("Cream", 163, "ffefdc"),
-	colour("Antique", 97, "d8d6cd"),
-	colour("White", 2, "ffffff"),
-	colour("Moon", 74, "d8d7d8"),
-	colour("Ice", 3, "ebefff"),
-	colour("Orca", 131, "e0dfff"),
-	colour("Platinum", 4, "c8bece"),
-	colour("Silver", 5, "bbbabf"),
-	colour("Dust", 146, "9c9c9e"),
-	colour("Grey", 6, "808080"),
-	colour("Smoke", 91, "9494a9"),
-	colour("Gloom", 98, "535264"),
-	colour("Lead", 118, "413c3f"),
-	colour("Shale", 177, "4d4850"),
-	colour("Flint", 129, "626268"),
-	colour("Charcoal", 7, "545454"),
-	colour("Coal", 8, "4b4946"),
-	colour("Oilslick", 70, "342b25"),
-	colour("Black", 9, "333333"),
-	colour("Obsidian", 10, "1d2224"),
-	colour("Eldritch", 176, "252a25"),
-	colour("Midnight", 11, "252735"),
-	colour("Shadow", 12, "3a2e44"),
-	colour("Blackberry", 127, "4b294f"),
-	colour("Mulberry", 13, "6e235d"),
-	colour("Plum", 92, "853390"),
-	colour("Wisteria", 119, "724e7b"),
-	colour("Thistle", 14, "8f7c8b"),
-	colour("Fog", 137, "a593b0"),
-	colour("Mist", 150, "e1ceff"),
-	colour("Lavender", 15, "cca4e0"),
-	colour("Heather", 68, "9777bd"),
-	colour("Purple", 16, "a261cf"),
-	colour("Orchid", 69, "d950ff"),
-	colour("Amethyst", 114, "993bd0"),
-	colour("Nightshade", 175, "782eb2"),
-	colour("Violet", 17, "643f9c"),
-	colour("Grape", 147, "570fc0"),
-	colour("Royal", 18, "4d2c89"),
-	colour("Eggplant", 111, "332b65"),
-	colour("Iris", 82, "535195"),
-	colour("Storm", 19, "757adb"),
-	colour("Twilight", 174, "474aa0"),
-	colour("Indigo", 112, "2d237a"),
-	colour("Sapphire", 71, "0d095b"),
-	colour("Navy", 20, "212b5f"),
-	colour("Cobalt", 136, "003484"),
-	colour("Ultramarine", 90, "1c51e7"),
-	colour("Blue", 21, "324ba9"),
-	colour("Periwinkle", 135, "4866d5"),
-	colour("Lapis", 148, "2b84ff"),
-	colour("Splash", 22, "6392df"),
-	colour("Cornflower", 145, "75a8ff"),
-	colour("Sky", 23, "aec8ff"),
-	colour("Stonewash", 24, "7895c1"),
-	colour("Overcast", 126, "444f69"),
-	colour("Steel", 25, "556979"),
-	colour("Denim", 26, "2f4557"),
-	colour("Abyss", 96, "0d1e24"),
-	colour("Phthalo", 151, "0b2d46"),
-	colour("Azure", 27, "0a3d67"),
-	colour("Caribbean", 28, "0086ce"),
-	colour("Teal", 29, "2b768f"),
-	colour("Cerulean", 117, "00b4d6"),
-	colour("Cyan", 89, "00fff0"),
-	colour("Robin", 99, "9aeaef"),
-	colour("Aqua", 30, "72c4c4"),
-	colour("Turquoise", 149, "3aa0a1"),
-	colour("Spruce", 100, "8bbbb2"),
-	colour("Pistachio", 125, "e2ffe6"),
-	colour("Seafoam", 31, "b2e2bd"),
-	colour("Mint", 152, "9affc7"),
-	colour("Jade", 32, "61ab89"),
-	colour("Spearmint", 78, "148e67"),
-	colour("Thicket", 141, "005e48"),
-	colour("Peacock", 134, "1f4739"),
-	colour("Emerald", 33, "20603f"),
-	colour("Shamrock", 80, "236925"),
-	colour("Jungle", 34, "1e361a"),
-	colour("Hunter", 81, "1d2715"),
-	colour("Forest", 35, "425035"),
-	colour("Camo", 154, "51684c"),
-	colour("Algae", 153, "97af8b"),
-	colour("Swamp", 36, "687f67"),
-	colour("Avocado", 37, "567c34"),
-	colour("Green", 38, "629c3f"),
-	colour("Fern", 113, "7ece73"),
-	colour("Mantis", 79, "99ff9c"),
-	colour("Pear", 101, "8ecd55"),
-	colour("Leaf", 39, "a5e32d"),
-	colour("Radioactive", 130, "c6ff00"),
-	colour("Honeydew", 102, "d0e672"),
-	colour("Peridot", 144, "e8ffb5"),
-	colour("Chartreuse", 155, "b4cd3c"),
-	colour("Spring", 40, "a9a832"),
-	colour("Crocodile", 173, "828335"),
-	colour("Olive", 123, "697135"),
-	colour("Murk", 142, "4b4420"),
-	colour("Moss", 115, "7e7745"),
-	colour("Goldenrod", 41, "bea55d"),
-	colour("Amber", 103, "c18e1b"),
-	colour("Honey", 93, "d1b300"),
-	colour("Lemon", 42, "ffe63b"),
-	colour("Yellow", 104, "f9e255"),
-	colour("Grapefruit", 128, "f7ff6f"),
-	colour("Banana", 43, "ffec80"),
-	colour("Sanddollar", 110, "ebe7ae"),
-	colour("Flaxen", 139, "fde9ae"),
-	colour("Ivory", 44, "ffd297"),
-	colour("Buttercup", 167, "f6bf6b"),
-	colour("Gold", 45, "e8af49"),
-	colour("Metals", 140, "d1b046"),
-	colour("Marigold", 75, "ffb43b"),
-	colour("Sunshine", 46, "fa912b"),
-	colour("Saffron", 84, "ff8400"),
-	colour("Sunset", 172, "ffa248"),
-	colour("Peach", 105, "ffb576"),
-	colour("Cantaloupe", 171, "ff984f"),
-	colour("Orange", 47, "d5602b"),
-	colour("Bronze", 83, "b2560d"),
-	colour("Terracotta", 108, "b23b07"),
-	colour("Carrot", 133, "ff5500"),
-	colour("Fire", 48, "ef5c23"),
-	colour("Pumpkin", 158, "ff6840"),
-	colour("Tangerine", 49, "ff7360"),
-	colour("Cinnamon", 77, "c05a39"),
-	colour("Caramel", 156, "c67047"),
-	colour("Sand", 50, "b27749"),
-	colour("Tan", 76, "c49a70"),
-	colour("Beige", 51, "cabba2"),
-	colour("Stone", 52, "827a64"),
-	colour("Taupe", 95, "6d665a"),
-	colour("Slate", 53, "564d48"),
-	colour("Driftwood", 165, "766359"),
-	colour("Latte", 143, "977b6c"),
-	colour("Dirt", 162, "76483f"),
-	colour("Clay", 106, "603f3d"),
-	colour("Sable", 138, "57372c"),
-	colour("Umber", 157, "2f1e1a"),
-	colour("Soil", 54, "5a4534"),
-	colour("Hickory", 88, "725639"),
-	colour("Tarnish", 124, "855c32"),
-	colour("Ginger", 122, "90532b"),
-	colour("Brown", 55, "8e5b3f"),
-	colour("Chocolate", 56, "563012"),
-	colour("Auburn", 166, "7b3c1d"),
-	colour("Copper", 94, "a44b28"),
-	colour("Rust", 57, "8b3220"),
-	colour("Tomato", 58, "ba311c"),
-	colour("Vermilion", 169, "e22d17"),
-	colour("Ruby", 86, "cd000e"),
-	colour("Cherry", 116, "aa0024"),
-	colour("Crimson", 59, "850012"),
-	colour("Garnet", 161, "5b0f14"),
-	colour("Sanguine", 121, "2e0002"),
-	colour("Blood", 60, "451717"),
-	colour("Maroon", 61, "652127"),
-	colour("Berry", 87, "8b272c"),
-	colour("Red", 62, "c1272d"),
-	colour("Strawberry", 168, "de3235"),
-	colour("Cerise", 132, "a22929"),
-	colour("Carmine", 63, "b13a3a"),
-	colour("Brick", 107, "9a534d"),
-	colour("Coral", 64, "cc6f6f"),
-	colour("Blush", 159, "ffa2a2"),
-	colour("Cottoncandy", 164, "eb7997"),
-	colour("Watermelon", 120, "db518d"),
-	colour("Magenta", 65, "e934aa"),
-	colour("Fuchsia", 170, "ec0089"),
-	colour("Raspberry", 160, "8a0249"),
-	colour("Wine", 72, "4d0f28"),
-	colour("Mauve", 73, "9c4875"),
-	colour("Pink", 66, "e77fbf"),
-	colour("Bubblegum", 109, "eaa9ff"),
-	colour("Rose", 67, "ffd6f6"),
-	colour("Pearl", 85, "fbe9f8")
+export let COLOURS = freeze([
+	colour("Maize", 1, "fffdea", NEUTRAL),
+	colour("Cream", 163, "ffefdc", NEUTRAL),
+	colour("Antique", 97, "d8d6cd", NEUTRAL),
+	colour("White", 2, "ffffff", NEUTRAL),
+	colour("Moon", 74, "d8d7d8", GREY),
+	colour("Ice", 3, "ebefff", NEUTRAL),
+	colour("Orca", 131, "e0dfff", GREY),
+	colour("Platinum", 4, "c8bece", GREY),
+	colour("Silver", 5, "bbbabf", GREY),
+	colour("Dust", 146, "9c9c9e", GREY),
+	colour("Grey", 6, "808080", GREY),
+	colour("Smoke", 91, "9494a9", GREY),
+	colour("Gloom", 98, "535264", GREY),
+	colour("Lead", 118, "413c3f", GREY),
+	colour("Shale", 177, "4d4850", GREY),
+	colour("Flint", 129, "626268", GREY),
+	colour("Charcoal", 7, "545454", GREY),
+	colour("Coal", 8, "4b4946", GREY),
+	colour("Oilslick", 70, "342b25", NEUTRAL),
+	colour("Black", 9, "333333", NEUTRAL),
+	colour("Obsidian", 10, "1d2224", NEUTRAL),
+	colour("Eldritch", 176, "252a25", NEUTRAL),
+	colour("Midnight", 11, "252735", NEUTRAL),
+	colour("Shadow", 12, "3a2e44", PURPLE),
+	colour("Blackberry", 127, "4b294f", PURPLE),
+	colour("Mulberry", 13, "6e235d", PURPLE),
+	colour("Plum", 92, "853390", PURPLE),
+	colour("Wisteria", 119, "724e7b", PURPLE),
+	colour("Thistle", 14, "8f7c8b", PURPLE),
+	colour("Fog", 137, "a593b0", PURPLE),
+	colour("Mist", 150, "e1ceff", PURPLE),
+	colour("Lavender", 15, "cca4e0", PURPLE),
+	colour("Heather", 68, "9777bd", PURPLE),
+	colour("Purple", 16, "a261cf", PURPLE),
+	colour("Orchid", 69, "d950ff", PURPLE),
+	colour("Amethyst", 114, "993bd0", PURPLE),
+	colour("Nightshade", 175, "782eb2", PURPLE),
+	colour("Violet", 17, "643f9c", PURPLE),
+	colour("Grape", 147, "570fc0", PURPLE),
+	colour("Royal", 18, "4d2c89", PURPLE),
+	colour("Eggplant", 111, "332b65", PURPLE),
+	colour("Iris", 82, "535195", BLUE),
+	colour("Storm", 19, "757adb", BLUE),
+	colour("Twilight", 174, "474aa0", BLUE),
+	colour("Indigo", 112, "2d237a", BLUE),
+	colour("Sapphire", 71, "0d095b", BLUE),
+	colour("Navy", 20, "212b5f", BLUE),
+	colour("Cobalt", 136, "003484", BLUE),
+	colour("Ultramarine", 90, "1c51e7", BLUE),
+	colour("Blue", 21, "324ba9", BLUE),
+	colour("Periwinkle", 135, "4866d5", BLUE),
+	colour("Lapis", 148, "2b84ff", BLUE),
+	colour("Splash", 22, "6392df", BLUE),
+	colour("Cornflower", 145, "75a8ff", BLUE),
+	colour("Sky", 23, "aec8ff", BLUE),
+	colour("Stonewash", 24, "7895c1", BLUE),
+	colour("Overcast", 126, "444f69", BLUE),
+	colour("Steel", 25, "556979", BLUE),
+	colour("Denim", 26, "2f4557", BLUE),
+	colour("Abyss", 96, "0d1e24", BLUE),
+	colour("Phthalo", 151, "0b2d46", BLUE),
+	colour("Azure", 27, "0a3d67", BLUE),
+	colour("Caribbean", 28, "0086ce", BLUE),
+	colour("Teal", 29, "2b768f", BLUE),
+	colour("Cerulean", 117, "00b4d6", BLUE),
+	colour("Cyan", 89, "00fff0", BLUE),
+	colour("Robin", 99, "9aeaef", BLUE),
+	colour("Aqua", 30, "72c4c4", BLUE),
+	colour("Turquoise", 149, "3aa0a1", BLUE),
+	colour("Spruce", 100, "8bbbb2", GREEN),
+	colour("Pistachio", 125, "e2ffe6", GREEN),
+	colour("Seafoam", 31, "b2e2bd", GREEN),
+	colour("Mint", 152, "9affc7", GREEN),
+	colour("Jade", 32, "61ab89", GREEN),
+	colour("Spearmint", 78, "148e67", GREEN),
+	colour("Thicket", 141, "005e48", GREEN),
+	colour("Peacock", 134, "1f4739", GREEN),
+	colour("Emerald", 33, "20603f", GREEN),
+	colour("Shamrock", 80, "236925", GREEN),
+	colour("Jungle", 34, "1e361a", GREEN),
+	colour("Hunter", 81, "1d2715", GREEN),
+	colour("Forest", 35, "425035", GREEN),
+	colour("Camo", 154, "51684c", GREEN),
+	colour("Algae", 153, "97af8b", GREEN),
+	colour("Swamp", 36, "687f67", GREEN),
+	colour("Avocado", 37, "567c34", GREEN),
+	colour("Green", 38, "629c3f", GREEN),
+	colour("Fern", 113, "7ece73", GREEN),
+	colour("Mantis", 79, "99ff9c", GREEN),
+	colour("Pear", 101, "8ecd55", GREEN),
+	colour("Leaf", 39, "a5e32d", GREEN),
+	colour("Radioactive", 130, "c6ff00", GREEN),
+	colour("Honeydew", 102, "d0e672", GREEN),
+	colour("Peridot", 144, "e8ffb5", GREEN),
+	colour("Chartreuse", 155, "b4cd3c", GREEN),
+	colour("Spring", 40, "a9a832", GREEN),
+	colour("Crocodile", 173, "828335", GREEN),
+	colour("Olive", 123, "697135", GREEN),
+	colour("Murk", 142, "4b4420", BROWN),
+	colour("Moss", 115, "7e7745", GREEN),
+	colour("Goldenrod", 41, "bea55d", YELLOW),
+	colour("Amber", 103, "c18e1b", YELLOW),
+	colour("Honey", 93, "d1b300", YELLOW),
+	colour("Lemon", 42, "ffe63b", YELLOW),
+	colour("Yellow", 104, "f9e255", YELLOW),
+	colour("Grapefruit", 128, "f7ff6f", YELLOW),
+	colour("Banana", 43, "ffec80", YELLOW),
+	colour("Sanddollar", 110, "ebe7ae", YELLOW),
+	colour("Flaxen", 139, "fde9ae", YELLOW),
+	colour("Ivory", 44, "ffd297", YELLOW),
+	colour("Buttercup", 167, "f6bf6b", YELLOW),
+	colour("Gold", 45, "e8af49", YELLOW),
+	colour("Metals", 140, "d1b046", YELLOW),
+	colour("Marigold", 75, "ffb43b", ORANGE),
+	colour("Sunshine", 46, "fa912b", ORANGE),
+	colour("Saffron", 84, "ff8400", ORANGE),
+	colour("Sunset", 172, "ffa248", ORANGE),
+	colour("Peach", 105, "ffb576", ORANGE),
+	colour("Cantaloupe", 171, "ff984f", ORANGE),
+	colour("Orange", 47, "d5602b", ORANGE),
+	colour("Bronze", 83, "b2560d", BROWN),
+	colour("Terracotta", 108, "b23b07", ORANGE),
+	colour("Carrot", 133, "ff5500", ORANGE),
+	colour("Fire", 48, "ef5c23", ORANGE),
+	colour("Pumpkin", 158, "ff6840", ORANGE),
+	colour("Tangerine", 49, "ff7360", ORANGE),
+	colour("Cinnamon", 77, "c05a39", ORANGE),
+	colour("Caramel", 156, "c67047", BROWN),
+	colour("Sand", 50, "b27749", BROWN),
+	colour("Tan", 76, "c49a70", BROWN),
+	colour("Beige", 51, "cabba2", BROWN),
+	colour("Stone", 52, "827a64", BROWN),
+	colour("Taupe", 95, "6d665a", BROWN),
+	colour("Slate", 53, "564d48", GREY),
+	colour("Driftwood", 165, "766359", BROWN),
+	colour("Latte", 143, "977b6c", BROWN),
+	colour("Dirt", 162, "76483f", BROWN),
+	colour("Clay", 106, "603f3d", BROWN),
+	colour("Sable", 138, "57372c", BROWN),
+	colour("Umber", 157, "2f1e1a", BROWN),
+	colour("Soil", 54, "5a4534", BROWN),
+	colour("Hickory", 88, "725639", BROWN),
+	colour("Tarnish", 124, "855c32", BROWN),
+	colour("Ginger", 122, "90532b", BROWN),
+	colour("Brown", 55, "8e5b3f", BROWN),
+	colour("Chocolate", 56, "563012", BROWN),
+	colour("Auburn", 166, "7b3c1d", BROWN),
+	colour("Copper", 94, "a44b28", BROWN),
+	colour("Rust", 57, "8b3220", RED),
+	colour("Tomato", 58, "ba311c", RED),
+	colour("Vermilion", 169, "e22d17", RED),
+	colour("Ruby", 86, "cd000e", RED),
+	colour("Cherry", 116, "aa0024", RED),
+	colour("Crimson", 59, "850012", RED),
+	colour("Garnet", 161, "5b0f14", RED),
+	colour("Sanguine", 121, "2e0002", RED),
+	colour("Blood", 60, "451717", RED),
+	colour("Maroon", 61, "652127", RED),
+	colour("Berry", 87, "8b272c", RED),
+	colour("Red", 62, "c1272d", RED),
+	colour("Strawberry", 168, "de3235", RED),
+	colour("Cerise", 132, "a22929", RED),
+	colour("Carmine", 63, "b13a3a", RED),
+	colour("Brick", 107, "9a534d", RED),
+	colour("Coral", 64, "cc6f6f", RED),
+	colour("Blush", 159, "ffa2a2", PINK),
+	colour("Cottoncandy", 164, "eb7997", PINK),
+	colour("Watermelon", 120, "db518d", PINK),
+	colour("Magenta", 65, "e934aa", PINK),
+	colour("Fuchsia", 170, "ec0089", PINK),
+	colour("Raspberry", 160, "8a0249", PINK),
+	colour("Wine", 72, "4d0f28", RED),
+	colour("Mauve", 73, "9c4875", PINK),
+	colour("Pink", 66, "e77fbf", PINK),
+	colour("Bubblegum", 109, "eaa9ff", PINK),
+	colour("Rose", 67, "ffd6f6", PINK),
+	colour("Pearl", 85, "fbe9f8", NEUTRAL)
 ]);
 
-/** All available breeds in Flight Rising. Sorted by name (ascending). [Data Source]{@link https://www1.flightrising.com/wiki/wiki}
+/** Indices in {@link module:FRjs/data.COLOURS COLOURS} of all colours in each colour family. Each family's colours are in colour wheel order. Each colour's family is picked by hand, and is also its `family` property.
+ *
+ * This object has the following structure:
+ * ```js
+ * {
+ * 	red: number[],
+ * 	orange: number[],
+ * 	// ...and so on for every ColourFamily
+ * }
+ * ```
+ * @type {Object.<ColourFamily, number[]>}
+ * @see {@link module:FRjs/data.ColourFamily ColourFamily} */
+export let COLOUR_FAMILIES = buildColourFamilies();
+
+/** All available breeds in Flight Rising. Sorted by name (ascending). [Data Source]{@link https://www1.flightrising.com/wiki/wiki} [Cooldown and Incubation Data Source]{@link https://flightrising.fandom.com/wiki/Nesting_Grounds}
  * @type {Breed[]}
  * @see {@link module:FRjs/data~Breed Breed} */
-export const BREEDS = freeze([
-	breed("Aberration", 20, ANCIENT, COMMON),
-	breed("Aether", 22, ANCIENT, COMMON),
-	breed("Auraboa", 24, ANCIENT, COMMON),
-	breed("Banescale", 18, ANCIENT, COMMON),
-	breed("Bogsneak", 14, MODERN, UNCOMMON),
-	breed("Coatl", 12, MODERN, RARE),
-	breed("Dusthide", 25, ANCIENT, COMMON),
-	breed("Everlux", 26, ANCIENT, COMMON),
-	breed("Fae", 1, MODERN, PLENTIFUL),
-	breed("Fathom", 16, MODERN, UNCOMMON),
-	breed("Gaoler", 17, ANCIENT, COMMON),
-	breed("Guardian", 2, MODERN, PLENTIFUL),
-	breed("Imperial", 8, MODERN, LIMITED),
-	breed("Mirror", 3, MODERN, PLENTIFUL),
-	breed("Nocturne", 11, MODERN, LIMITED),
-	breed("Obelisk", 15, MODERN, UNCOMMON),
-	breed("Pearlcatcher", 4, MODERN, COMMON),
-	breed("Ridgeback", 5, MODERN, UNCOMMON),
-	breed("Sandsurge", 23, ANCIENT, COMMON),
-	breed("Skydancer", 13, MODERN, UNCOMMON),
-	breed("Snapper", 9, MODERN, COMMON),
-	breed("Spiral", 7, MODERN, COMMON),
-	breed("Tundra", 6, MODERN, PLENTIFUL),
-	breed("Undertide", 21, ANCIENT, COMMON),
-	breed("Veilspun", 19, ANCIENT, COMMON),
-	breed("Wildclaw", 10, MODERN, RARE)
+export let BREEDS = freeze([
+	breed("Aberration", 20, ANCIENT, COMMON, 30, 8),
+	breed("Aether", 22, ANCIENT, COMMON, 30, 8),
+	breed("Auraboa", 24, ANCIENT, COMMON, 30, 8),
+	breed("Banescale", 18, ANCIENT, COMMON, 30, 8),
+	breed("Bogsneak", 14, MODERN, UNCOMMON, 25, 7),
+	breed("Coatl", 12, MODERN, RARE, 35, 9),
+	breed("Dusthide", 25, ANCIENT, COMMON, 30, 8),
+	breed("Everlux", 26, ANCIENT, COMMON, 30, 8),
+	breed("Fae", 1, MODERN, PLENTIFUL, 15, 5),
+	breed("Fathom", 16, MODERN, UNCOMMON, 25, 7),
+	breed("Gaoler", 17, ANCIENT, COMMON, 30, 8),
+	breed("Guardian", 2, MODERN, PLENTIFUL, 15, 5),
+	breed("Imperial", 8, MODERN, LIMITED, 30, 8),
+	breed("Mirror", 3, MODERN, PLENTIFUL, 15, 5),
+	breed("Nocturne", 11, MODERN, LIMITED, 30, 8),
+	breed("Obelisk", 15, MODERN, UNCOMMON, 25, 7),
+	breed("Pearlcatcher", 4, MODERN, COMMON, 20, 6),
+	breed("Ridgeback", 5, MODERN, UNCOMMON, 25, 7),
+	breed("Sandsurge", 23, ANCIENT, COMMON, 30, 8),
+	breed("Skydancer", 13, MODERN, UNCOMMON, 25, 7),
+	breed("Snapper", 9, MODERN, COMMON, 20, 6),
+	breed("Spiral", 7, MODERN, COMMON, 20, 6),
+	breed("Tundra", 6, MODERN, PLENTIFUL, 15, 5),
+	breed("Undertide", 21, ANCIENT, COMMON, 30, 8),
+	breed("Veilspun", 19, ANCIENT, COMMON, 30, 8),
+	breed("Wildclaw", 10, MODERN, RARE, 35, 9)
 ]);
 
 // Destructuring ancient breed names offers readability and typo prevention when I have
@@ -672,7 +1759,7 @@ const [
  * ```
  * @type {{primary: Gene[], secondary: Gene[], tertiary: Gene[]}}
  * @see {@link module:FRjs/data~Gene Gene} */
-export const GENES = freeze({
+export let GENES = freeze({
 	primary: freeze([
 		gene("Arapaima", COMMON, EVERLUX, 345, SANDSURGE, 194),
 		gene("Arc", LIMITED, DUSTHIDE, 306, VEILSPUN, 70),
@@ -956,3 +2043,342 @@ export const GENES = freeze({
 		gene("Wraith", RARE, BANESCALE, 48)
 	])
 });
+
+
+///////////////////////////////////////////////////////////////////////////////
+// LOOKUP TABLES
+///////////////////////////////////////////////////////////////////////////////
+
+/** Builds a map of on-site IDs to indices in the given array. If several members share a site ID, the first one wins.
+ * @private
+ * @param {Array.<{sid: number}>} arr
+ * @returns {Map.<number, number>} */
+function sidMap(arr) {
+	const map = new Map();
+	for (const [i, x] of arr.entries()) {
+		if (!map.has(x.sid)) {
+			map.set(x.sid, i);
+		}
+	}
+	return map;
+}
+
+/** Builds a map of breed keys (`MODERN`, or an ancient breed's index) to maps of on-site IDs to indices in the given gene slot array. If several genes share a site ID on the same breed, the first one wins.
+ * @private
+ * @param {Gene[]} arr
+ * @returns {Map.<string|number, Map.<number, number>>} */
+function geneSidMap(arr) {
+	const map = new Map();
+	for (const [i, x] of arr.entries()) {
+		for (const k in x.sids) {
+			const key = k === MODERN ? MODERN : +k;
+			if (!map.has(key)) {
+				map.set(key, new Map());
+			}
+			if (!map.get(key).has(x.sids[k])) {
+				map.get(key).set(x.sids[k], i);
+			}
+		}
+	}
+	return map;
+}
+
+/** Builds reverse lookup tables from on-site IDs to indices in the data arrays.
+ * @private */
+function buildSidLookup() {
+	return {
+		breeds: sidMap(BREEDS),
+		eyes: sidMap(EYES),
+		colours: sidMap(COLOURS),
+		elements: sidMap(ELEMENTS),
+		ages: sidMap(AGES),
+		genders: sidMap(GENDERS),
+		genes: {
+			primary: geneSidMap(GENES.primary),
+			secondary: geneSidMap(GENES.secondary),
+			tertiary: geneSidMap(GENES.tertiary)
+		}
+	};
+}
+
+/** Reverse lookup tables from on-site IDs to indices in the data arrays.
+ * @private */
+let SID_LOOKUP = buildSidLookup();
+
+/** Alternate names for traits, organized by the array the trait is in. Keys are alternate names, and values are the trait's name in the array.
+ * @private */
+const NAME_ALIASES = {
+	// For some reason this age is "Dragon" in the scryshop, and "Adult" on profiles.
+	ages: { Adult: "Dragon" },
+	colours: { Gray: "Grey" }
+};
+
+/** Cache of normalized name lookup tables for each array they've been requested for.
+ * @private
+ * @type {WeakMap.<Array, Map.<string, number>>} */
+const NAME_LOOKUP = new WeakMap();
+
+/** Returns a map of normalized names and aliases to indices in the given array, building it if it doesn't exist yet.
+ * @private
+ * @param {Array.<{name: string}>} arr
+ * @returns {Map.<string, number>} */
+function nameLookup(arr) {
+	if (!NAME_LOOKUP.has(arr)) {
+		const map = new Map();
+		for (const [i, x] of arr.entries()) {
+			if (!map.has(normalizeName(x.name))) {
+				map.set(normalizeName(x.name), i);
+			}
+		}
+		const aliases = (arr === AGES) ? NAME_ALIASES.ages
+			: (arr === COLOURS) ? NAME_ALIASES.colours
+			: {};
+		for (const [alias, name] of Object.entries(aliases)) {
+			const i = map.get(normalizeName(name));
+			if (i !== undefined && !map.has(normalizeName(alias))) {
+				map.set(normalizeName(alias), i);
+			}
+		}
+		NAME_LOOKUP.set(arr, map);
+	}
+	return NAME_LOOKUP.get(arr);
+}
+
+
+///////////////////////////////////////////////////////////////////////////////
+// RUNTIME EXTENSION
+///////////////////////////////////////////////////////////////////////////////
+
+/** Snapshot of the built-in data, taken before any runtime additions.
+ * @private
+ * @type {DatasetSnapshot} */
+const BUILTIN_SNAPSHOT = deepFreeze(snapshotDataset());
+
+/** Checks that a new trait's name and site ID are valid, and don't clash with an existing trait or another new trait. Adds a description of any problems to `problems`.
+ * @private
+ * @param {string} what What kind of trait this is, for error messages.
+ * @param {Array.<{name: string, sid: number}>} arr The existing traits of this kind, plus any new ones already checked.
+ * @param {{name: string, sid: number}} x The new trait.
+ * @param {string[]} problems */
+function checkNameAndSid(what, arr, x, problems) {
+	if (typeof x?.name !== "string" || x.name.trim() === "") {
+		problems.push(`${what} has no name`);
+		return;
+	}
+	if (arr.some(y => normalizeName(y.name) === normalizeName(x.name))) {
+		problems.push(`${what} "${x.name}" already exists`);
+	}
+	if (!Number.isInteger(x.sid) || x.sid < 0) {
+		problems.push(`${what} "${x.name}" has an invalid site ID`);
+	} else if (arr.some(y => y.sid === x.sid)) {
+		problems.push(`${what} "${x.name}" has the same site ID as an existing ${what}`);
+	}
+}
+
+/** Adds new breeds, eye types, colours and genes to the data arrays at runtime, so tools can support new traits released on Flight Rising before FRjs is updated. Everything is validated before anything is added; if there are any problems, nothing is added, and a `TypeError` listing all of the problems is thrown.
+ *
+ * New traits are added to the **end** of their arrays, so the indices of all existing traits stay the same. This means that arrays are no longer fully sorted after extending; in particular, new colours are treated as coming at the end of the colour wheel (between Pearl and Maize) in colour range calculations.
+ *
+ * Genes can be added to any slot. If a gene with the same name already exists in that slot, its site IDs and metadata are updated instead; this is how existing genes are made available on a new ancient breed, and how gene metadata can be filled in. The keys of a gene's `sids` may be `BreedType.MODERN` (`M`), an index in `BREEDS`, or the name of a breed (including a breed being added in the same call). The Basic gene is automatically made available on new ancient breeds.
+ *
+ * All data arrays and derived helpers, such as {@link module:FRjs/data.genesForBreed genesForBreed}, site ID lookups, and each gene's `sidForBreed`, reflect the new data as soon as this returns. The data arrays are replaced with new frozen arrays rather than being modified, so any references to the old arrays saved before extending won't include the new data.
+ *
+ * For example:
+ * ```js
+ * FR.extend({
+ * 	breeds: [{ name: "Newbreed", sid: 27, type: FR.BreedType.ANCIENT, rarity: FR.Rarity.COMMON, cooldown: 30, incubation: 8 }],
+ * 	colours: [{ name: "Newcolour", sid: 178, hex: "a1b2c3" }],
+ * 	genes: {
+ * 		primary: [
+ * 			{ name: "Bar", sids: { Newbreed: 400 } },
+ * 			{ name: "Newgene", rarity: FR.Rarity.LIMITED, sids: { M: 401, Newbreed: 402 } }
+ * 		]
+ * 	}
+ * });
+ * ```
+ * @param {Object} additions
+ * @param {Array.<{name: string, sid: number, type: BreedType, rarity: Rarity, cooldown: number, incubation: number}>} [additions.breeds] New breeds.
+ * @param {Array.<{name: string, sid: number, probability: number}>} [additions.eyes] New eye types.
+ * @param {Array.<{name: string, sid: number, hex: string, family: ColourFamily}>} [additions.colours] New colours. Hex codes should NOT be prefixed. `family` is optional; if it's left out, the colour joins the family of the existing colour closest to it (see {@link module:FRjs/data.nearestColours nearestColours}).
+ * @param {{primary: Object[], secondary: Object[], tertiary: Object[]}} [additions.genes] New genes, or updates to existing genes, for any slot. Each has a `name`, `rarity` and `sids`, and optionally a `source`, `breedable` flag, and `released` dates, in the same formats as in {@link module:FRjs/data~Gene Gene} except that breed keys may also be breed names. `rarity` and `sids` may be left out when updating an existing gene.
+ * @returns {{breeds: number[], eyes: number[], colours: number[], genes: {primary: number[], secondary: number[], tertiary: number[]}}} Indices of every added or updated trait.
+ * @throws {TypeError} If any of the additions are invalid.
+ * @see {@link module:FRjs/data.BreedType BreedType}
+ * @see {@link module:FRjs/data.Rarity Rarity}
+ * @see {@link module:FRjs/data.ColourFamily ColourFamily} */
+export function extend({breeds = [], eyes = [], colours = [], genes = {}} = {}) {
+	const problems = [],
+		rarities = Object.values(Rarity);
+
+	const allBreeds = [...BREEDS];
+	for (const x of breeds) {
+		checkNameAndSid("breed", allBreeds, x, problems);
+		if (!Object.values(BreedType).includes(x?.type)) {
+			problems.push(`breed "${x?.name}" has an invalid type`);
+		}
+		if (!rarities.includes(x?.rarity)) {
+			problems.push(`breed "${x?.name}" has an invalid rarity`);
+		}
+		if (!(Number.isInteger(x?.cooldown) && x.cooldown > 0 && Number.isInteger(x?.incubation) && x.incubation > 0)) {
+			problems.push(`breed "${x?.name}" has an invalid cooldown or incubation period`);
+		}
+		allBreeds.push(x);
+	}
+
+	const allEyes = [...EYES];
+	for (const x of eyes) {
+		checkNameAndSid("eye type", allEyes, x, problems);
+		if (!(x?.probability >= 0 && x?.probability <= 1)) {
+			problems.push(`eye type "${x?.name}" has an invalid probability`);
+		}
+		allEyes.push(x);
+	}
+
+	const allColours = [...COLOURS];
+	for (const x of colours) {
+		checkNameAndSid("colour", allColours, x, problems);
+		if (!/^[0-9a-f]{6}$/i.test(x?.hex)) {
+			problems.push(`colour "${x?.name}" has an invalid hex code`);
+		}
+		if (x?.family !== undefined && !Object.values(ColourFamily).includes(x.family)) {
+			problems.push(`colour "${x.name}" has an invalid colour family`);
+		}
+		allColours.push(x);
+	}
+
+	// Resolve each gene's sids into [breed key, sid] pairs that the gene factory understands
+	const geneChanges = {};
+	for (const slot in genes) {
+		if (!(slot in GENES)) {
+			problems.push(`"${slot}" is not a gene slot`);
+			continue;
+		}
+		geneChanges[slot] = [];
+
+		// Map of breed keys to maps of site IDs to the names of the genes using them, to catch clashes
+		const sidOwners = new Map();
+		const ownersFor = key => {
+			if (!sidOwners.has(key)) {
+				sidOwners.set(key, new Map());
+			}
+			return sidOwners.get(key);
+		};
+		for (const x of GENES[slot]) {
+			for (const key in x.sids) {
+				ownersFor(key).set(x.sids[key], x.name);
+			}
+		}
+		allBreeds.forEach((x, i) => {
+			if (i >= BREEDS.length && x?.type === ANCIENT) {
+				ownersFor(`${i}`).set(0, "Basic");
+			}
+		});
+
+		for (const x of genes[slot]) {
+			const existing = indexByName(GENES[slot], x?.name),
+				pairs = [];
+			if (typeof x?.name !== "string" || x.name.trim() === "") {
+				problems.push(`${slot} gene has no name`);
+				continue;
+			}
+			if ((existing === undefined || x.rarity !== undefined) && !rarities.includes(x.rarity)) {
+				problems.push(`${slot} gene "${x.name}" has an invalid rarity`);
+			}
+			if (x.source !== undefined && !Object.values(GeneSource).includes(x.source)) {
+				problems.push(`${slot} gene "${x.name}" has an invalid source`);
+			}
+			if (x.breedable !== undefined && typeof x.breedable !== "boolean") {
+				problems.push(`${slot} gene "${x.name}" has an invalid breedable flag`);
+			}
+			const breedKey = key => {
+				if (key === MODERN) {
+					return key;
+				}
+				const i = (key in allBreeds) ? +key : indexByName(allBreeds, key);
+				if (allBreeds[i]?.type !== ANCIENT) {
+					problems.push(`${slot} gene "${x.name}" has a site ID or release date for "${key}", which is not an ancient breed`);
+				}
+				return i;
+			};
+			for (const [key, sid] of Object.entries(x.sids ?? {})) {
+				if (!Number.isInteger(sid) || sid < 0) {
+					problems.push(`${slot} gene "${x.name}" has an invalid site ID for "${key}"`);
+				}
+				const k = breedKey(key),
+					owners = ownersFor(`${k}`),
+					owner = owners.get(sid);
+				if (owner !== undefined && normalizeName(owner) !== normalizeName(x.name)) {
+					problems.push(`${slot} gene "${x.name}" has the same site ID for "${key}" (${sid}) as ${slot} gene "${owner}"`);
+				}
+				for (const [otherSid, name] of owners) {
+					// an existing gene's old site ID is replaced
+					if (normalizeName(name) === normalizeName(x.name)) {
+						owners.delete(otherSid);
+					}
+				}
+				owners.set(sid, x.name);
+				pairs.push(k, sid);
+			}
+			const released = {};
+			for (const [key, date] of Object.entries(x.released ?? {})) {
+				if (Number.isNaN(new Date(date).getTime())) {
+					problems.push(`${slot} gene "${x.name}" has an invalid release date for "${key}"`);
+				}
+				released[breedKey(key)] = date;
+			}
+			const hasUpdates = x.rarity !== undefined || x.source !== undefined || x.breedable !== undefined || x.released !== undefined;
+			if (pairs.length === 0 && (existing === undefined || !hasUpdates)) {
+				problems.push(`${slot} gene "${x.name}" has no site IDs`);
+			}
+			geneChanges[slot].push({
+				existing, name: x.name, rarity: x.rarity, pairs,
+				meta: { source: x.source, breedable: x.breedable, released }
+			});
+		}
+	}
+
+	if (problems.length > 0) {
+		throw new TypeError(`Invalid FRjs data extension: ${problems.join("; ")}.`);
+	}
+
+	const added = {
+		breeds: breeds.map((x, i) => BREEDS.length + i),
+		eyes: eyes.map((x, i) => EYES.length + i),
+		colours: colours.map((x, i) => COLOURS.length + i),
+		genes: {primary: [], secondary: [], tertiary: []}
+	};
+
+	BREEDS = freeze([...BREEDS, ...breeds.map(x => breed(x.name, x.sid, x.type, x.rarity, x.cooldown, x.incubation))]);
+	EYES = freeze([...EYES, ...eyes.map(x => eye(x.name, x.sid, x.probability))]);
+	COLOURS = freeze([...COLOURS, ...colours.map(x => colour(x.name, x.sid, x.hex.toLowerCase(), x.family ?? COLOURS[nearestColours(x.hex, 1)[0].index].family))]);
+
+	const newGenes = {};
+	for (const slot in GENES) {
+		const arr = [...GENES[slot]];
+		if (breeds.some(x => x.type === ANCIENT)) {
+			const basic = arr.findIndex(x => x.name === "Basic");
+			// The old gene carries its own metadata over
+			arr[basic] = gene("Basic", undefined, arr[basic]);
+		}
+		for (const x of geneChanges[slot] ?? []) {
+			if (x.existing === undefined) {
+				added.genes[slot].push(arr.length);
+				arr.push(gene(x.name, x.rarity, ...x.pairs, x.meta));
+			} else {
+				const old = arr[x.existing];
+				added.genes[slot].push(x.existing);
+				arr[x.existing] = gene(old.name, x.rarity ?? old.rarity, ...Object.entries(old.sids).flat(), ...x.pairs, {
+					source: x.meta.source ?? old.source,
+					breedable: x.meta.breedable ?? old.breedable,
+					released: {...old.released, ...x.meta.released}
+				});
+			}
+		}
+		newGenes[slot] = freeze(arr);
+	}
+	GENES = freeze(newGenes);
+
+	COLOUR_FAMILIES = buildColourFamilies();
+	SID_LOOKUP = buildSidLookup();
+	return added;
+}
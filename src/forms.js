@@ -177,7 +177,7 @@ class ColourSelect extends BasicSelect {
 
 	extraOptionInit(op, obj) {
 		if (!ColourSelect.#styleCache.has(op.value)) {
-			ColourSelect.#styleCache.set(op.value, `background:#${obj.hex};color:#${ColourSelect.#textColourForBg(obj.hex)}`);
+			ColourSelect.#styleCache.set(op.value, `background:#${obj.hex};color:#${obj.foreground}`);
 		}
 		if (!this.hasAttribute("no-opt-colours")) {
 			op.style = ColourSelect.#styleCache.get(op.value);
@@ -197,30 +197,6 @@ class ColourSelect extends BasicSelect {
 			}
 		}
 	}
-
-	/** Determines whether text placed on the given background colour should be black or white for the best readability.
-	 * @private
-	 * @param {string} bgHex A non-prefixed 6-digit hex colour code.
-	 * @returns {string} Whichever of "000" or "fff" is easier to read when placed on the given background colour. */
-	static #textColourForBg(bgHex) {
-		// Convert to RGB
-		bgHex = +(`0x${bgHex}`);
-		const r = bgHex >> 16,
-			g = bgHex >> 8 & 255,
-			b = bgHex & 255;
-
-		// Perceived brightness equation from http://alienryderflex.com/hsp.html
-		const perceivedBrightness = Math.sqrt(
-			0.299 * (r * r)
-			+ 0.587 * (g * g)
-			+ 0.114 * (b * b)
-		);
-
-		if (perceivedBrightness > 110) {
-			return "000";
-		}
-		return "fff";
-	}
 }
 
 /** A customized `<select>` element which self-populates with options representing all of Flight Rising's breeds, separated into Modern and Ancient `<optgroup>`s which are each ordered alphabetically. Registered as `fr-breeds`.